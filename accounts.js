@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+
+const accountsFilePath = path.resolve(__dirname, './data/accounts.json');
+const accountsDir = path.resolve(__dirname, './data/accounts');
+
+// The account used when a request does not name one. It keeps the original
+// login.json / temp_login.json so existing sessions carry over.
+const DEFAULT_ACCOUNT = 'default';
+
+// Account IDs become directory names, so keep them to a safe character set
+const ACCOUNT_ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+// Writes are chained so concurrent logins never overwrite each other
+const enqueueWrite = createWriteQueue();
+
+function isValidAccountId(id) {
+  return typeof id === 'string' && ACCOUNT_ID_PATTERN.test(id);
+}
+
+// Directory holding an account's encrypted vault entries; see vault.js
+function accountDir(accountId = DEFAULT_ACCOUNT) {
+  if (!isValidAccountId(accountId)) {
+    throw new Error(`Invalid account ID: ${accountId}`);
+  }
+  return path.join(accountsDir, accountId);
+}
+
+// Plaintext storage state files written before the vault existed. login.json
+// is only read to migrate it into the vault; temp_login.json is deleted.
+function legacySessionPaths(accountId = DEFAULT_ACCOUNT) {
+  if (accountId === DEFAULT_ACCOUNT) {
+    return { loginPath: 'login.json', tempLoginPath: 'temp_login.json' };
+  }
+
+  return {
+    loginPath: path.join(accountDir(accountId), 'login.json'),
+    tempLoginPath: path.join(accountDir(accountId), 'temp_login.json')
+  };
+}
+
+async function readAccounts() {
+  const data = await readJson(accountsFilePath, { accounts: [] });
+  const accounts = data.accounts || [];
+
+  // The default account always exists, registered or not
+  if (!accounts.some(account => account.id === DEFAULT_ACCOUNT)) {
+    accounts.unshift({ id: DEFAULT_ACCOUNT, username: null, createdAt: null, lastLoginAt: null });
+  }
+  return accounts;
+}
+
+function updateAccounts(mutate) {
+  return enqueueWrite(async () => {
+    const accounts = await readAccounts();
+    const value = mutate(accounts);
+    await writeJsonAtomic(accountsFilePath, { accounts });
+    return value;
+  });
+}
+
+async function getAccount(id) {
+  const accounts = await readAccounts();
+  return accounts.find(account => account.id === id) || null;
+}
+
+// Register the account on first login; later logins update the username
+function ensureAccount(id, { username = null } = {}) {
+  return updateAccounts(accounts => {
+    let account = accounts.find(existing => existing.id === id);
+    if (!account) {
+      account = { id, username: null, createdAt: new Date().toISOString(), lastLoginAt: null };
+      accounts.push(account);
+    }
+    if (username) account.username = username;
+    return account;
+  });
+}
+
+function markLoggedIn(id) {
+  return updateAccounts(accounts => {
+    const account = accounts.find(existing => existing.id === id);
+    if (account) account.lastLoginAt = new Date().toISOString();
+    return account || null;
+  });
+}
+
+// Forget an account and delete its vault entries. The default account
+// cannot be removed.
+async function removeAccount(id) {
+  if (id === DEFAULT_ACCOUNT) {
+    throw new Error('The default account cannot be removed');
+  }
+
+  const removed = await updateAccounts(accounts => {
+    const index = accounts.findIndex(account => account.id === id);
+    if (index === -1) return false;
+    accounts.splice(index, 1);
+    return true;
+  });
+
+  if (removed) {
+    await fs.promises.rm(accountDir(id), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT,
+  isValidAccountId,
+  accountDir,
+  legacySessionPaths,
+  readAccounts,
+  getAccount,
+  ensureAccount,
+  markLoggedIn,
+  removeAccount
+};
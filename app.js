@@ -2,19 +2,27 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const BuyeeScraper = require('./scrapper');
+const { FETCH_MODES } = BuyeeScraper;
+const BrowserPool = require('./browserPool');
 const logger = require('morgan');
-const fs = require('fs');
-const path = require('path');
-const rimraf = require('rimraf');
-const bidFilePath = path.resolve(__dirname, './data/bids.json');
-
-// Initialize rimraf promise
-const rimrafAsync = (path) => new Promise((resolve, reject) => {
-  rimraf(path, (error) => {
-    if (error) reject(error);
-    else resolve();
-  });
-});
+const bidStore = require('./bidStore');
+const SnipeScheduler = require('./sniper');
+const AutoBidder = require('./autoBidder');
+const JobQueue = require('./jobQueue');
+const { fetchTermPages, fetchCombinedPages, createTermStates } = require('./searchRunner');
+const { createSearchSessionStore } = require('./searchSessionStore');
+const SavedSearchMonitor = require('./savedSearches');
+const Watchlist = require('./watchlist');
+const BidStatusTracker = require('./bidTracker');
+const SessionManager = require('./sessionManager');
+const { isValidLoginAttemptId } = require('./loginAttempts');
+const { WebhookDispatcher, EVENT_TYPES } = require('./webhooks');
+const { compareEndingSoonest, withCurrentSecondsRemaining } = require('./timeParser');
+const { normalizePriceBound } = require('./priceParser');
+const { validateSearchFilters } = require('./searchFilters');
+const { MARKETPLACE_IDS, DEFAULT_MARKETPLACE, getMarketplace } = require('./marketplaces');
+const accounts = require('./accounts');
+const vault = require('./vault');
 
 const app = express();
 
@@ -71,39 +79,162 @@ app.use(logger('dev'));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-const scraper = new BuyeeScraper();
+// One browser pool and scraper for every request and background job, so
+// concurrent users queue for pages instead of each launching Chromium
+const browserPool = new BrowserPool({
+  maxPages: parseInt(process.env.BROWSER_MAX_PAGES, 10) || undefined,
+  maxAgeMinutes: parseInt(process.env.BROWSER_MAX_AGE_MINUTES, 10) || undefined,
+  maxContexts: parseInt(process.env.BROWSER_MAX_CONTEXTS, 10) || undefined
+});
+const scraper = new BuyeeScraper({
+  pool: browserPool,
+  hostInterval: parseInt(process.env.DETAILS_HOST_INTERVAL_MS, 10) || undefined,
+  fetchMode: process.env.SCRAPE_FETCH_MODE || undefined
+});
+const sessionManager = new SessionManager(scraper, {
+  checkMinutes: parseInt(process.env.SESSION_CHECK_MINUTES, 10) || undefined
+});
+
+sessionManager.load()
+  .then(() => sessionManager.start())
+  .catch(error => console.error('Failed to start session manager:', error));
+
+vault.removeLegacyTempSessions()
+  .catch(error => console.error('Failed to remove leftover half-finished logins:', error));
+
+// Scheduled bids go through the session manager so they get the same checks
+const snipeScheduler = new SnipeScheduler(scraper, { bidder: sessionManager });
+const searchSessions = createSearchSessionStore();
+searchSessions.start();
+const jobQueue = new JobQueue({ concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1 });
+const savedSearchMonitor = new SavedSearchMonitor(scraper, jobQueue);
+
+savedSearchMonitor.load()
+  .then(() => savedSearchMonitor.start())
+  .catch(error => console.error('Failed to start saved search monitor:', error));
+
+const watchlist = new Watchlist(scraper, jobQueue, {
+  refreshMinutes: parseInt(process.env.WATCHLIST_REFRESH_MINUTES, 10) || undefined
+});
+
+watchlist.load()
+  .then(() => watchlist.start())
+  .catch(error => console.error('Failed to start watchlist:', error));
+
+const bidTracker = new BidStatusTracker(scraper, jobQueue, {
+  checkMinutes: parseInt(process.env.BID_STATUS_CHECK_MINUTES, 10) || undefined
+});
+
+bidTracker.start()
+  .catch(error => console.error('Failed to start bid status tracker:', error));
+
+const webhooks = new WebhookDispatcher();
+
+webhooks.load()
+  .catch(error => console.error('Failed to load webhooks:', error));
+
+// Forward subsystem events to webhook subscribers
+bidStore.events.on('recorded', bid => {
+  webhooks.dispatch(bid.status === 'placed' ? 'bid_placed' : 'bid_failed', bid);
+});
+bidTracker.on('outcome_changed', ({ bid, previousOutcome }) => {
+  if (bid.outcome === 'outbid') webhooks.dispatch('bid_outbid', { bid, previousOutcome });
+});
+watchlist.on('price_changed', data => webhooks.dispatch('price_changed', data));
+watchlist.on('ending_soon', data => webhooks.dispatch('ending_soon', data));
+
+sessionManager.on('login_expired', data => webhooks.dispatch('login_expired', data));
+sessionManager.on('two_factor_required', data => webhooks.dispatch('two_factor_required', data));
+
+snipeScheduler.load()
+  .then(() => snipeScheduler.start())
+  .catch(error => console.error('Failed to start snipe scheduler:', error));
+
+const autoBidder = new AutoBidder(scraper, { bidder: sessionManager });
+
+autoBidder.load()
+  .then(() => autoBidder.start())
+  .catch(error => console.error('Failed to start auto-bidder:', error));
+
+// Bids parked for a two-factor code report back to whatever placed them
+function resolveParkedBid(parkedBid, outcome) {
+  const origin = parkedBid.origin || {};
+  const finish = origin.type === 'snipe'
+    ? snipeScheduler.resolveParked(origin.id, outcome)
+    : origin.type === 'auto-bid'
+      ? autoBidder.resolveParked(origin.id, { parkedBid, ...outcome })
+      : Promise.resolve();
+  finish.catch(error => console.error('Failed to resolve parked bid:', error));
+}
+
+sessionManager.on('parked_bid_replayed', ({ parkedBid, response, bid }) => {
+  resolveParkedBid(parkedBid, { response, bid });
+});
+sessionManager.on('parked_bid_dropped', ({ parkedBid, reason }) => {
+  resolveParkedBid(parkedBid, { dropped: reason });
+});
+sessionManager.on('parked_bid_cancelled', ({ parkedBid }) => {
+  resolveParkedBid(parkedBid, { cancelled: true });
+});
+
+// Shape checks only; the values are checked against the live bid form
+function validateBidOptionsInput({ planId, options }) {
+  if (planId !== undefined && !/^[a-z0-9_-]+$/i.test(String(planId))) {
+    return 'Plan ID must be a plan ID from GET /bid/:auctionId/options';
+  }
+  if (options !== undefined && (options === null || typeof options !== 'object' || Array.isArray(options))) {
+    return 'Options must be an object of bid form field names to values';
+  }
+  return null;
+}
+
+// Accounts named in a request must already exist (logging in creates them);
+// returns an error message, or null when the account can be used
+async function validateAccountId(accountId) {
+  if (!accounts.isValidAccountId(accountId)) {
+    return `Invalid account ID "${accountId}"`;
+  }
+  if (!await accounts.getAccount(accountId)) {
+    return `Unknown account "${accountId}". Log in with this account ID first`;
+  }
+  return null;
+}
 
-// Cleanup function for search contexts
-async function cleanupSearchContexts() {
+// Plans and options offered on an auction's bid form
+app.get('/bid/:auctionId/options', async (req, res) => {
   try {
-    const files = await fs.promises.readdir(__dirname);
-    const searchContextFiles = files.filter(file => file.startsWith('search_context_'));
-    
-    for (const file of searchContextFiles) {
-      const filePath = path.join(__dirname, file);
-      const stats = await fs.promises.stat(filePath);
-      const fileAge = Date.now() - stats.mtime.getTime();
-      
-      // Delete files older than 30 minutes
-      if (fileAge > 30 * 60 * 1000) {
-        try {
-          await fs.promises.unlink(filePath);
-          console.log(`Cleaned up old search context: ${file}`);
-        } catch (unlinkError) {
-          console.error(`Error deleting file ${file}:`, unlinkError);
-        }
-      }
+    const { auctionId } = req.params;
+    const { accountId = accounts.DEFAULT_ACCOUNT } = req.query;
+    if (!/^[a-z0-9]+$/i.test(auctionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid auction ID' });
+    }
+
+    const accountError = await validateAccountId(accountId);
+    if (accountError) {
+      return res.status(400).json({ success: false, message: accountError });
+    }
+
+    const response = await scraper.getBidOptions(auctionId, accountId);
+    if (!response.success) {
+      return res.status(400).json(response);
     }
+
+    res.json(response);
   } catch (error) {
-    console.error('Error cleaning up search contexts:', error);
+    console.error('Bid options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load bid options. Please try again.',
+      error: error.message
+    });
   }
-}
+});
 
 // Place bid endpoint
 app.post('/place-bid', async (req, res) => {
   try {
     console.log('Received bid request data:', req.body);
-    const { productId: productUrl, amount: bidAmount } = req.body;
+    const { productId: productUrl, amount: bidAmount, planId, options, accountId = accounts.DEFAULT_ACCOUNT } = req.body;
 
     if (!productUrl || !bidAmount || isNaN(bidAmount) || bidAmount <= 0) {
       return res.status(400).json({
@@ -112,7 +243,29 @@ app.post('/place-bid', async (req, res) => {
       });
     }
 
-    const response = await scraper.placeBid(productUrl, bidAmount);
+    const optionsError = validateBidOptionsInput({ planId, options }) || await validateAccountId(accountId);
+    if (optionsError) {
+      return res.status(400).json({ success: false, message: optionsError });
+    }
+
+    const response = await sessionManager.placeBid(productUrl, bidAmount, { planId, options, accountId });
+
+    // Waiting for a two-factor code; the bid is recorded when it goes out
+    if (response.parked) {
+      return res.status(202).json(response);
+    }
+
+    // Record every attempt, successful or not
+    await bidStore.recordBid({
+      auctionId: BuyeeScraper.extractAuctionId(productUrl),
+      productUrl,
+      source: response.details?.source,
+      accountId,
+      bidAmount,
+      plan: response.details?.plan || (planId !== undefined ? String(planId) : null),
+      success: response.success,
+      error: response.debug?.error || response.message
+    }).catch(error => console.error('Failed to record bid:', error));
     
     if (!response.success) {
       return res.status(400).json(response);
@@ -134,109 +287,353 @@ app.post('/place-bid', async (req, res) => {
   }
 });
 
-// Update this in app.js
-// Search endpoint
-app.post('/search', async (req, res) => {
-  const startTime = Date.now();
-  const searchId = Math.random().toString(36).substring(7);
-
+// Bid pre-flight: what a bid would cost in total, without placing it
+app.post('/bid/preview', async (req, res) => {
   try {
-    // Clean up old search contexts first
-    await cleanupSearchContexts();
+    const { productId: productUrl, amount: bidAmount, planId, accountId = accounts.DEFAULT_ACCOUNT } = req.body;
+
+    if (!productUrl || !bidAmount || isNaN(bidAmount) || bidAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product URL must be valid, and bid amount must be a positive number',
+      });
+    }
+
+    const optionsError = validateBidOptionsInput({ planId }) || await validateAccountId(accountId);
+    if (optionsError) {
+      return res.status(400).json({ success: false, message: optionsError });
+    }
+
+    const response = await scraper.previewBid(productUrl, bidAmount, planId, accountId);
+    if (!response.success) {
+      return res.status(400).json(response);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Bid preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview the bid. Please try again.',
+      error: error.message
+    });
+  }
+});
 
+// "sequential" scrapes one term at a time, moving on when a term runs dry;
+// "all" scrapes every term and merges the results
+const SEARCH_MODES = ['sequential', 'all'];
+const SEARCH_SORTS = ['endingSoonest'];
+
+// Check every term's text, marketplace, price bounds and filters; returns a
+// list of problems
+function validateSearchTerms(terms) {
+  if (!Array.isArray(terms) || terms.length === 0) {
+    return ['Terms must be a non-empty array'];
+  }
+
+  const errors = [];
+  terms.forEach((termSpec, index) => {
+    const prefix = `Term ${index + 1}`;
+    if (!termSpec || typeof termSpec.term !== 'string' || !termSpec.term.trim()) {
+      errors.push(`${prefix}: a non-empty "term" string is required`);
+      return;
+    }
+    for (const bound of ['minPrice', 'maxPrice']) {
+      const value = termSpec[bound];
+      if (value !== undefined && value !== null && value !== '' && normalizePriceBound(value) === null) {
+        errors.push(`${prefix}: invalid ${bound} "${value}"`);
+      }
+    }
+    const marketplace = getMarketplace(termSpec.marketplace || DEFAULT_MARKETPLACE);
+    if (!marketplace) {
+      errors.push(`${prefix}: unknown marketplace "${termSpec.marketplace}". Expected one of: ${MARKETPLACE_IDS.join(', ')}`);
+      return;
+    }
+    for (const filterError of validateSearchFilters(termSpec.filters, marketplace)) {
+      errors.push(`${prefix}: ${filterError}`);
+    }
+    if (termSpec.fetchMode !== undefined && !FETCH_MODES.includes(termSpec.fetchMode)) {
+      errors.push(`${prefix}: unknown fetchMode "${termSpec.fetchMode}". Expected one of: ${FETCH_MODES.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+// Job results arrive page by page; the stored search session holds them in
+// the requested order
+function sortResults(products, sort) {
+  if (sort === 'endingSoonest') {
+    return [...products].sort(compareEndingSoonest);
+  }
+  return products;
+}
+
+// Search endpoint: queues the scrape as a background job and returns its ID
+app.post('/search', async (req, res) => {
+  try {
     const { 
-      terms: searchTerms = [], 
+      terms = [], 
+      marketplace = DEFAULT_MARKETPLACE,
+      fetchMode,
+      mode = 'sequential',
+      sort,
       page = 1, 
       pageSize = 100 
     } = req.body;
 
-    if (!searchTerms.length) {
+    if (!terms.length) {
       return res.status(400).json({ 
         success: false,
         error: 'No search terms provided' 
       });
     }
 
-    // Create search context file
-    const searchContextPath = path.join(__dirname, `search_context_${searchId}.json`);
-    
-    // Initialize search context
-    const searchContext = {
-      searchId,
-      terms: searchTerms,
-      currentTermIndex: 0,
-      currentPage: 1,
-      results: [],
-      totalResults: 0,
-      createdAt: Date.now()
-    };
-
-    // Fetch first 4 pages
-    const firstTerm = searchTerms[0];
-    let allProducts = [];
-    let totalProducts = 0;
-
-    // Create new scraper instance for initial search
-    const requestScraper = new BuyeeScraper();
+    if (!getMarketplace(marketplace)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown marketplace "${marketplace}". Expected one of: ${MARKETPLACE_IDS.join(', ')}`
+      });
+    }
 
-    try {
-      for (let page = 1; page <= 4; page++) {
-        const searchResult = await requestScraper.scrapeSearchResults(
-          firstTerm.term, 
-          firstTerm.minPrice, 
-          firstTerm.maxPrice, 
-          page
-        );
-
-        if (page === 1) {
-          totalProducts = searchResult.totalProducts;
-        }
+    // The request-level marketplace and fetchMode apply to every term that
+    // does not name its own; load-more keeps using them from the stored terms
+    const defaults = fetchMode === undefined ? { marketplace } : { marketplace, fetchMode };
+    const searchTerms = Array.isArray(terms)
+      ? terms.map(termSpec => (termSpec && typeof termSpec === 'object' ? { ...defaults, ...termSpec } : termSpec))
+      : terms;
 
-        if (searchResult.products.length > 0) {
-          allProducts = [...allProducts, ...searchResult.products];
-        }
+    const termErrors = validateSearchTerms(searchTerms);
+    if (termErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: termErrors.join('; '),
+        errors: termErrors
+      });
+    }
 
-        // Break if we've got all products or no products returned
-        if (searchResult.products.length === 0 || allProducts.length >= totalProducts) {
-          break;
-        }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown search mode "${mode}". Expected one of: ${SEARCH_MODES.join(', ')}`
+      });
+    }
 
-        // Add a small delay between pages to avoid rate limiting
-        if (page < 4) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+    if (sort !== undefined && !SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown sort "${sort}". Expected one of: ${SEARCH_SORTS.join(', ')}`
+      });
+    }
+
+    const job = jobQueue.add('search', { terms: searchTerms, mode, sort }, task =>
+      mode === 'all' ? runMultiTermSearchJob(task, searchTerms, sort) : runSearchJob(task, searchTerms, sort)
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+async function runSearchJob(task, searchTerms, sort = null) {
+  const startTime = Date.now();
+  const searchId = Math.random().toString(36).substring(7);
+
+  // Initialize search context
+  const searchContext = {
+    searchId,
+    terms: searchTerms,
+    sort,
+    currentTermIndex: 0,
+    currentPage: 1,
+    results: [],
+    totalResults: 0,
+    createdAt: Date.now()
+  };
+
+  // Fetch first 4 pages
+  const firstTerm = searchTerms[0];
+  task.setTotal(4);
+
+  const { products: allProducts, totalProducts } = await fetchTermPages(scraper, firstTerm, {
+    maxPages: 4,
+    onPage: ({ page, products, error }) => {
+      // Without the first page there is no search to report on
+      if (error && page === 1) {
+        throw new Error(`Search for "${firstTerm.term}" failed: ${error}`);
       }
+      if (error) task.pushError({ term: firstTerm.term, page, error });
+      task.pushResults(products);
+      task.advance();
+    }
+  });
 
-      // Update search context with all information
-      searchContext.results = allProducts;
-      searchContext.totalResults = totalProducts;
-      searchContext.currentPage = 4;
-      searchContext.lastUpdated = Date.now();
+  // Update search context with all information. Pages stream into the job
+  // in scrape order; a sorted search re-orders them once all are in.
+  searchContext.results = sortResults(allProducts, sort);
+  if (sort) task.setResults(searchContext.results);
+  searchContext.totalResults = totalProducts;
+  searchContext.termFetched = allProducts.length;
+  searchContext.currentPage = 4;
+
+  await searchSessions.set(searchId, searchContext);
+
+  const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  return {
+    count: allProducts.length,
+    totalResults: totalProducts,
+    currentPage: 4,
+    searchContextId: searchId,
+    duration: totalDuration
+  };
+}
 
-      // Save search context
-      fs.writeFileSync(searchContextPath, JSON.stringify(searchContext, null, 2));
+// Multi-term search: every term is scraped and results are merged and de-duplicated
+async function runMultiTermSearchJob(task, searchTerms, sort = null) {
+  const startTime = Date.now();
+  const searchId = Math.random().toString(36).substring(7);
 
-      const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+  const searchContext = {
+    searchId,
+    mode: 'all',
+    terms: searchTerms,
+    sort,
+    termStates: createTermStates(searchTerms),
+    currentPage: 1,
+    results: [],
+    totalResults: 0,
+    createdAt: Date.now()
+  };
+
+  task.setTotal(4);
+
+  const batch = await fetchCombinedPages(scraper, searchTerms, searchContext.termStates, {
+    maxPages: 4,
+    onPage: ({ term, page, products, error }) => {
+      if (error) task.pushError({ term, page, error });
+      task.pushResults(products);
+      task.advance();
+    }
+  });
 
-      res.json({
-        success: true,
-        results: allProducts,
-        count: allProducts.length,
-        totalResults: totalProducts,
-        currentPage: 4,
-        searchContextId: searchId,
-        duration: totalDuration
+  // Nothing but failed pages is a failed search, not an empty one
+  if (batch.pagesFetched > 0 && batch.errors.length === batch.pagesFetched) {
+    throw new Error(`Search failed: ${batch.errors[0].error}`);
+  }
+
+  searchContext.results = sortResults(batch.products, sort);
+  searchContext.totalResults = batch.totalProducts;
+  if (sort) task.setResults(searchContext.results);
+
+  await searchSessions.set(searchId, searchContext);
+
+  return {
+    count: batch.products.length,
+    totalResults: batch.totalProducts,
+    duplicatesRemoved: batch.duplicates,
+    terms: searchContext.termStates,
+    hasMore: !batch.exhausted,
+    searchContextId: searchId,
+    duration: ((Date.now() - startTime) / 1000).toFixed(2)
+  };
+}
+
+// Stream search results as Server-Sent Events, one event per scraped page
+app.get('/search/stream', async (req, res) => {
+  const startTime = Date.now();
+  const { term, minPrice = '', maxPrice = '', marketplace = DEFAULT_MARKETPLACE, fetchMode } = req.query;
+  const maxPages = Math.min(Math.max(parseInt(req.query.maxPages, 10) || 4, 1), 10);
+
+  if (!term) {
+    return res.status(400).json({
+      success: false,
+      error: 'No search term provided'
+    });
+  }
+
+  for (const [bound, value] of [['minPrice', minPrice], ['maxPrice', maxPrice]]) {
+    if (value !== '' && normalizePriceBound(value) === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${bound} "${value}"`
       });
-    } finally {
-      // Clean up scraper resources
-      await requestScraper.cleanup();
     }
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({
+  }
+
+  if (!getMarketplace(marketplace)) {
+    return res.status(400).json({
       success: false,
-      error: error.message
+      error: `Unknown marketplace "${marketplace}". Expected one of: ${MARKETPLACE_IDS.join(', ')}`
+    });
+  }
+
+  if (fetchMode !== undefined && !FETCH_MODES.includes(fetchMode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown fetchMode "${fetchMode}". Expected one of: ${FETCH_MODES.join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop scraping if the client goes away
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  // Comment lines keep proxies from dropping the idle connection while a page loads
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  let count = 0;
+
+  try {
+    const { totalProducts, lastPage } = await fetchTermPages(scraper, { term, minPrice, maxPrice, marketplace, fetchMode }, {
+      maxPages,
+      isCancelled: () => closed,
+      onPage: ({ page, products, totalProducts, error }) => {
+        // A failed page ends the scrape; the summary still follows
+        if (error) {
+          sendEvent('error', { page, error });
+          return;
+        }
+        count += products.length;
+        sendEvent('page', { page, products, count: products.length, totalProducts });
+      }
+    });
+
+    sendEvent('summary', {
+      totalProducts,
+      count,
+      lastPage,
+      duration: ((Date.now() - startTime) / 1000).toFixed(2)
     });
+  } catch (error) {
+    console.error('Search stream error:', error);
+    sendEvent('error', { error: error.message });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 });
 
@@ -245,100 +642,139 @@ app.post('/load-more', async (req, res) => {
   const { searchContextId, pageSize = 100 } = req.body;
 
   try {
-    // Clean up old search contexts first
-    await cleanupSearchContexts();
-
     // Load search context
-    const searchContextPath = path.join(__dirname, `search_context_${searchContextId}.json`);
+    const searchContext = await searchSessions.get(searchContextId);
     
-    if (!fs.existsSync(searchContextPath)) {
+    if (!searchContext) {
       return res.status(404).json({
         success: false,
         error: 'Search context not found'
       });
     }
 
-    const searchContext = JSON.parse(fs.readFileSync(searchContextPath, 'utf8'));
+    if (searchContext.mode === 'all') {
+      return await loadMoreMultiTerm(req, res, searchContext);
+    }
+
     const currentTermIndex = searchContext.currentTermIndex;
     const startPage = searchContext.currentPage + 1;
     const currentTerm = searchContext.terms[currentTermIndex];
 
-    // Create new scraper instance for this request
-    const requestScraper = new BuyeeScraper();
+    // Fetch next 4 pages
+    const nextPages = await fetchTermPages(scraper, currentTerm, {
+      startPage,
+      maxPages: 4,
+      totalProducts: searchContext.totalResults,
+      alreadyFetched: searchContext.termFetched ?? searchContext.results.length
+    });
+    let newProducts = nextPages.products;
+    let lastSuccessfulPage = nextPages.lastPage;
 
-    try {
-      // Fetch next 4 pages
-      let newProducts = [];
-      let lastSuccessfulPage = startPage - 1;
+    // If no results with current term, try next term
+    if (newProducts.length === 0 && currentTermIndex < searchContext.terms.length - 1) {
+      const nextTermIndex = currentTermIndex + 1;
+      const nextTerm = searchContext.terms[nextTermIndex];
       
-      for (let page = startPage; page < startPage + 4; page++) {
-        const searchResult = await requestScraper.scrapeSearchResults(
-          currentTerm.term, 
-          currentTerm.minPrice, 
-          currentTerm.maxPrice, 
-          page
-        );
-
-        if (searchResult.products.length > 0) {
-          newProducts = [...newProducts, ...searchResult.products];
-          lastSuccessfulPage = page;
-        }
+      // Try first page of next term
+      const nextTermResult = await scraper.scrapeSearchResults(
+        nextTerm.term, 
+        nextTerm.minPrice, 
+        nextTerm.maxPrice, 
+        1,
+        nextTerm.filters,
+        nextTerm.marketplace,
+        { fetchMode: nextTerm.fetchMode }
+      );
+
+      if (nextTermResult.products.length > 0) {
+        newProducts = nextTermResult.products;
+        searchContext.currentTermIndex = nextTermIndex;
+        searchContext.termFetched = 0;
+        lastSuccessfulPage = 1;
+      }
+    }
 
-        // Break if we got no products or reached total
-        if (searchResult.products.length === 0 || 
-            searchContext.results.length + newProducts.length >= searchContext.totalResults) {
-          break;
-        }
+    newProducts = sortResults(newProducts, searchContext.sort);
 
-        // Add a small delay between pages
-        if (page < startPage + 3) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+    // Update search context, keeping the full result set
+    searchContext.currentPage = lastSuccessfulPage;
+    searchContext.results = sortResults([...searchContext.results, ...newProducts], searchContext.sort);
+    searchContext.termFetched = (searchContext.termFetched ?? 0) + newProducts.length;
 
-      // If no results with current term, try next term
-      if (newProducts.length === 0 && currentTermIndex < searchContext.terms.length - 1) {
-        const nextTermIndex = currentTermIndex + 1;
-        const nextTerm = searchContext.terms[nextTermIndex];
-        
-        // Try first page of next term
-        const nextTermResult = await requestScraper.scrapeSearchResults(
-          nextTerm.term, 
-          nextTerm.minPrice, 
-          nextTerm.maxPrice, 
-          1
-        );
-
-        if (nextTermResult.products.length > 0) {
-          newProducts = nextTermResult.products;
-          searchContext.currentTermIndex = nextTermIndex;
-          lastSuccessfulPage = 1;
-        }
-      }
+    // Save updated context
+    await searchSessions.set(searchContextId, searchContext);
+
+    res.json({
+      success: true,
+      results: newProducts,
+      count: newProducts.length,
+      totalResults: searchContext.totalResults,
+      currentTerm: searchContext.terms[currentTermIndex].term,
+      currentPage: lastSuccessfulPage,
+      searchContextId
+    });
+  } catch (error) {
+    console.error('Load more error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      // Update search context
-      searchContext.currentPage = lastSuccessfulPage;
-      searchContext.results = newProducts; // Store only new results
-      searchContext.lastUpdated = Date.now();
+// Load the next combined batch of a multi-term search
+async function loadMoreMultiTerm(req, res, searchContext) {
+  const batch = await fetchCombinedPages(scraper, searchContext.terms, searchContext.termStates, {
+    previousResults: searchContext.results,
+    maxPages: 4
+  });
 
-      // Save updated context
-      fs.writeFileSync(searchContextPath, JSON.stringify(searchContext, null, 2));
+  const newProducts = sortResults(batch.products, searchContext.sort);
 
-      res.json({
-        success: true,
-        results: newProducts,
-        count: newProducts.length,
-        totalResults: searchContext.totalResults,
-        currentTerm: searchContext.terms[currentTermIndex].term,
-        currentPage: lastSuccessfulPage,
-        searchContextId
+  searchContext.currentPage += 1;
+
+  // Keep every batch so later batches are de-duplicated against all of them
+  searchContext.results = sortResults([...searchContext.results, ...newProducts], searchContext.sort);
+  searchContext.totalResults = batch.totalProducts;
+
+  await searchSessions.set(searchContext.searchId, searchContext);
+
+  res.json({
+    success: true,
+    results: newProducts,
+    count: newProducts.length,
+    totalResults: batch.totalProducts,
+    duplicatesRemoved: batch.duplicates,
+    terms: searchContext.termStates,
+    hasMore: !batch.exhausted,
+    errors: batch.errors,
+    currentPage: searchContext.currentPage,
+    searchContextId: searchContext.searchId
+  });
+}
+
+// Fetch a stored search session with its cumulative results
+app.get('/search/:contextId', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    const searchContext = await searchSessions.get(req.params.contextId);
+
+    if (!searchContext) {
+      return res.status(404).json({
+        success: false,
+        error: 'Search context not found'
       });
-    } finally {
-      // Clean up scraper resources
-      await requestScraper.cleanup();
     }
+
+    res.json({
+      success: true,
+      searchContextId: req.params.contextId,
+      ...searchContext,
+      results: searchContext.results.map(product => withCurrentSecondsRemaining(product)),
+      count: searchContext.results.length
+    });
   } catch (error) {
-    console.error('Load more error:', error);
+    console.error('Search session error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -346,47 +782,296 @@ app.post('/load-more', async (req, res) => {
   }
 });
 
-// Details Endpoint
+// Validate the fields shared by saved search create and edit
+function validateSavedSearchInput({ terms, intervalMinutes, pagesPerTerm }, requireTerms) {
+  if (requireTerms || terms !== undefined) {
+    const termErrors = validateSearchTerms(terms);
+    if (termErrors.length > 0) {
+      return termErrors.join('; ');
+    }
+  }
+  if (intervalMinutes !== undefined && (isNaN(intervalMinutes) || Number(intervalMinutes) <= 0)) {
+    return 'Interval minutes must be a positive number';
+  }
+  if (pagesPerTerm !== undefined && (!Number.isInteger(Number(pagesPerTerm)) || Number(pagesPerTerm) < 1 || Number(pagesPerTerm) > 10)) {
+    return 'Pages per term must be a whole number between 1 and 10';
+  }
+  return null;
+}
+
+app.post('/saved-searches', async (req, res) => {
+  try {
+    const validationError = validateSavedSearchInput(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { name, terms, intervalMinutes, pagesPerTerm } = req.body;
+    const search = await savedSearchMonitor.create({ name, terms, intervalMinutes, pagesPerTerm });
+    res.status(201).json({ success: true, savedSearch: savedSearchMonitor.summarize(search) });
+  } catch (error) {
+    console.error('Saved search creation error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/saved-searches', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(savedSearchMonitor.list());
+});
+
+app.get('/saved-searches/:id', (req, res) => {
+  const search = savedSearchMonitor.get(req.params.id);
+  if (!search) {
+    return res.status(404).json({ success: false, message: 'Saved search not found' });
+  }
+  res.json(savedSearchMonitor.summarize(search));
+});
+
+app.put('/saved-searches/:id', async (req, res) => {
+  try {
+    if (!savedSearchMonitor.get(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    const validationError = validateSavedSearchInput(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { name, terms, intervalMinutes, pagesPerTerm, enabled } = req.body;
+    const search = await savedSearchMonitor.update(req.params.id, { name, terms, intervalMinutes, pagesPerTerm, enabled });
+    res.json({ success: true, savedSearch: savedSearchMonitor.summarize(search) });
+  } catch (error) {
+    console.error('Saved search update error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/saved-searches/:id', async (req, res) => {
+  try {
+    if (!await savedSearchMonitor.remove(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Saved search delete error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Run a saved search now instead of waiting for its schedule
+app.post('/saved-searches/:id/run', (req, res) => {
+  const search = savedSearchMonitor.get(req.params.id);
+  if (!search) {
+    return res.status(404).json({ success: false, message: 'Saved search not found' });
+  }
+  if (savedSearchMonitor.running.has(search.id)) {
+    return res.status(409).json({ success: false, message: 'Saved search is already running' });
+  }
+
+  const job = savedSearchMonitor.enqueue(search);
+  res.status(202).json({ success: true, jobId: job.id, status: job.status });
+});
+
+// Listings that appeared since earlier runs; ?since=<ISO date> narrows the window
+app.get('/saved-searches/:id/new', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const { since } = req.query;
+
+  if (since && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ success: false, message: `Invalid since date: ${since}` });
+  }
+
+  const listings = savedSearchMonitor.newListings(req.params.id, { since });
+  if (!listings) {
+    return res.status(404).json({ success: false, message: 'Saved search not found' });
+  }
+
+  res.json({ success: true, results: listings, count: listings.length });
+});
+
+// Watch an auction; its price and time remaining are re-scraped periodically
+app.post('/watchlist', async (req, res) => {
+  try {
+    const { productUrl } = req.body;
+    if (!productUrl) {
+      return res.status(400).json({ success: false, message: 'Product URL is required' });
+    }
+
+    const isNew = !watchlist.list().some(item => item.productUrl === productUrl);
+    const item = await watchlist.add(productUrl);
+    if (isNew) {
+      watchlist.enqueueItemRefresh(item);
+    }
+
+    res.status(isNew ? 201 : 200).json({ success: true, item: watchlist.summarize(item) });
+  } catch (error) {
+    console.error('Watchlist add error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/watchlist', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(watchlist.list());
+});
+
+// Time series of price and time-remaining readings; ?from= and ?to= limit the range
+app.get('/watchlist/:id/history', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const { from, to } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ success: false, message: `Invalid ${name} date: ${value}` });
+    }
+  }
+
+  const item = watchlist.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({ success: false, message: 'Watchlist item not found' });
+  }
+
+  const history = watchlist.history(item.id, { from, to });
+  res.json({ success: true, item: watchlist.summarize(item), history, count: history.length });
+});
+
+app.delete('/watchlist/:id', async (req, res) => {
+  try {
+    if (!await watchlist.remove(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Watchlist item not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Watchlist delete error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Validate the fields shared by webhook create and edit
+function validateWebhookInput({ url, events }, requireAll) {
+  if (requireAll || url !== undefined) {
+    try {
+      const parsedUrl = new URL(url);
+      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return 'Webhook URL must use http or https';
+      }
+    } catch {
+      return 'Webhook URL must be a valid URL';
+    }
+  }
+  if (requireAll || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Events must be a non-empty array';
+    }
+    const unknownEvents = events.filter(event => !EVENT_TYPES.includes(event));
+    if (unknownEvents.length > 0) {
+      return `Unknown event type(s): ${unknownEvents.join(', ')}. Expected: ${EVENT_TYPES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Register a webhook. The signing secret is only returned in this response.
+app.post('/webhooks', async (req, res) => {
+  try {
+    const validationError = validateWebhookInput(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { url, events, secret } = req.body;
+    const webhook = await webhooks.create({ url, events, secret });
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    console.error('Webhook creation error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/webhooks', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(webhooks.list());
+});
+
+// Delivery log, newest first; filter with ?webhookId=, ?event= and ?status=
+app.get('/webhooks/deliveries', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const { webhookId, event, status } = req.query;
+  res.json(webhooks.listDeliveries({ webhookId, event, status }));
+});
+
+app.put('/webhooks/:id', async (req, res) => {
+  try {
+    if (!webhooks.get(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    const validationError = validateWebhookInput(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { url, events, enabled } = req.body;
+    const webhook = await webhooks.update(req.params.id, { url, events, enabled });
+    res.json({ success: true, webhook: webhooks.summarize(webhook) });
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/webhooks/:id', async (req, res) => {
+  try {
+    if (!await webhooks.remove(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+const DEFAULT_DETAILS_CONCURRENCY = parseInt(process.env.DETAILS_CONCURRENCY, 10) || 3;
+
+// Details Endpoint. Optional body fields: concurrency (parallel pages, capped
+// one below the browser pool size), timeoutSeconds per URL and fetchMode. updatedDetails
+// follows the order of urls; a URL that failed has { url, error } in its place.
 app.post('/details', async (req, res) => {
   try {
-    const { urls = [] } = req.body;
+    const { urls = [], concurrency, timeoutSeconds, fetchMode } = req.body;
 
-    if (!urls.length) {
+    if (!Array.isArray(urls) || !urls.length) {
       return res.status(400).json({ 
         success: false,
         error: 'No URLs provided' 
       });
     }
 
+    if (fetchMode !== undefined && !FETCH_MODES.includes(fetchMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown fetchMode "${fetchMode}". Expected one of: ${FETCH_MODES.join(', ')}`
+      });
+    }
+
     console.log('Received URLs for details:', urls);
 
-    // Create a new scraper instance for this request
-    const requestScraper = new BuyeeScraper();
+    const pageCount = Math.max(parseInt(concurrency, 10) || DEFAULT_DETAILS_CONCURRENCY, 1);
+    const timeout = Math.min(Math.max(parseInt(timeoutSeconds, 10) || 30, 5), 120) * 1000;
 
-    try {
-      const updatedDetails = await requestScraper.scrapeDetails(urls);
-      console.log('Scraped Details:', updatedDetails);
-
-      // Check if we got any valid details
-      const validDetails = updatedDetails.filter(detail => !detail.error);
-
-      if (validDetails.length === 0) {
-        console.log('No valid details found');
-        return res.status(200).json({
-          success: true,
-          updatedDetails: [],
-          message: 'No valid details could be retrieved'
-        });
-      }
+    const updatedDetails = await scraper.scrapeDetails(urls, { concurrency: pageCount, timeout, fetchMode });
+    const failedCount = updatedDetails.filter(detail => detail.error).length;
 
-      res.json({
-        success: true,
-        updatedDetails: validDetails,
-      });
-    } finally {
-      // Clean up scraper resources
-      await requestScraper.cleanup();
-    }
+    res.json({
+      success: true,
+      updatedDetails,
+      count: updatedDetails.length - failedCount,
+      failedCount,
+      ...(failedCount === urls.length ? { message: 'No valid details could be retrieved' } : {})
+    });
   } catch (error) {
     console.error('Details error:', error.message);
     res.status(500).json({ 
@@ -397,18 +1082,24 @@ app.post('/details', async (req, res) => {
 });
 
 
-app.get('/bids', (req, res) => {
+app.get('/bids', async (req, res) => {
   try {
     res.set('Cache-Control', 'no-store');
-    const data = fs.readFileSync(bidFilePath, 'utf-8');
-    const bidsData = JSON.parse(data);
-    
-    // Ensure bids is an array
-    const bids = Array.isArray(bidsData) 
-      ? bidsData 
-      : (bidsData.bids || []);
+    const { auctionId, accountId, status, from, to } = req.query;
+
+    if (accountId !== undefined && !accounts.isValidAccountId(accountId)) {
+      return res.status(400).json({ error: `Invalid account ID "${accountId}"` });
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `Invalid ${name} date: ${value}` });
+      }
+    }
+
+    const bids = await bidStore.queryBids({ auctionId, accountId, status, from, to });
     
-    console.log('Bids retrieved:', bids);
+    console.log('Bids retrieved:', bids.length);
     res.json(bids);
   } catch (error) {
     console.error(`Error reading bids: ${error.message}`);
@@ -416,6 +1107,274 @@ app.get('/bids', (req, res) => {
   }
 });
 
+// Whether a placed bid is the highest, outbid, won or lost. ?refresh=true
+// re-reads the bid's account's My Page first instead of returning the last
+// known outcome.
+app.get('/bids/:id/status', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+
+    let bid = await bidStore.getBid(req.params.id);
+    if (!bid) {
+      return res.status(404).json({ success: false, error: 'Bid not found' });
+    }
+
+    if (req.query.refresh === 'true' && bid.status === 'placed') {
+      await bidTracker.checkBid(bid.id);
+      bid = await bidStore.getBid(bid.id);
+    }
+
+    res.json({
+      success: true,
+      id: bid.id,
+      auctionId: bid.auctionId,
+      productUrl: bid.productUrl,
+      bidAmount: bid.bidAmount,
+      status: bid.status,
+      outcome: bid.outcome || null,
+      outcomeCheckedAt: bid.outcomeCheckedAt || null
+    });
+  } catch (error) {
+    console.error(`Error checking bid status: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Validate snipe amounts shared by create and edit
+function validateSnipeInput({ maxBid, leadSeconds }, requireMaxBid) {
+  if ((requireMaxBid || maxBid !== undefined) && (isNaN(maxBid) || Number(maxBid) <= 0)) {
+    return 'Max bid must be a positive number';
+  }
+  if (leadSeconds !== undefined && (isNaN(leadSeconds) || Number(leadSeconds) <= 0)) {
+    return 'Lead seconds must be a positive number';
+  }
+  return null;
+}
+
+// Register a snipe that bids shortly before the auction ends
+app.post('/snipes', async (req, res) => {
+  try {
+    const { productUrl, maxBid, leadSeconds, accountId = accounts.DEFAULT_ACCOUNT } = req.body;
+
+    const validationError = !productUrl
+      ? 'Product URL is required'
+      : validateSnipeInput({ maxBid, leadSeconds }, true) || await validateAccountId(accountId);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const snipe = await snipeScheduler.create({ productUrl, maxBid, leadSeconds, accountId });
+    res.status(201).json({ success: true, snipe });
+  } catch (error) {
+    console.error('Snipe creation error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/snipes', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(snipeScheduler.list({ status: req.query.status }));
+});
+
+app.get('/snipes/:id', (req, res) => {
+  const snipe = snipeScheduler.get(req.params.id);
+  if (!snipe) {
+    return res.status(404).json({ success: false, message: 'Snipe not found' });
+  }
+  res.json(snipe);
+});
+
+app.put('/snipes/:id', async (req, res) => {
+  try {
+    const snipe = snipeScheduler.get(req.params.id);
+    if (!snipe) {
+      return res.status(404).json({ success: false, message: 'Snipe not found' });
+    }
+    if (snipe.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Snipe is already ${snipe.status}` });
+    }
+
+    const { maxBid, leadSeconds } = req.body;
+    const validationError = validateSnipeInput({ maxBid, leadSeconds }, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    res.json({ success: true, snipe: await snipeScheduler.update(snipe.id, { maxBid, leadSeconds }) });
+  } catch (error) {
+    console.error('Snipe update error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/snipes/:id', async (req, res) => {
+  try {
+    const snipe = snipeScheduler.get(req.params.id);
+    if (!snipe) {
+      return res.status(404).json({ success: false, message: 'Snipe not found' });
+    }
+    if (!['pending', 'parked'].includes(snipe.status)) {
+      return res.status(409).json({ success: false, message: `Snipe is already ${snipe.status}` });
+    }
+
+    // Take its bid off the two-factor queue too, so it never goes out
+    if (snipe.status === 'parked') await sessionManager.cancelParked(snipe.parkedBidId);
+    res.json({ success: true, snipe: await snipeScheduler.cancel(snipe.id) });
+  } catch (error) {
+    console.error('Snipe cancel error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Register an auction for proxy bidding up to maxBid
+app.post('/auto-bids', async (req, res) => {
+  try {
+    const { productUrl, maxBid, planId, accountId = accounts.DEFAULT_ACCOUNT } = req.body;
+
+    const validationError = !productUrl
+      ? 'Product URL is required'
+      : validateSnipeInput({ maxBid }, true) ||
+        validateBidOptionsInput({ planId }) ||
+        await validateAccountId(accountId);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const autoBid = await autoBidder.create({ productUrl, maxBid, planId, accountId });
+    res.status(201).json({ success: true, autoBid });
+  } catch (error) {
+    console.error('Auto-bid creation error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/auto-bids', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(autoBidder.list({ status: req.query.status }));
+});
+
+app.get('/auto-bids/:id', (req, res) => {
+  const autoBid = autoBidder.get(req.params.id);
+  if (!autoBid) {
+    return res.status(404).json({ success: false, message: 'Auto-bid not found' });
+  }
+  res.json(autoBid);
+});
+
+// Raise or lower the ceiling
+app.put('/auto-bids/:id', async (req, res) => {
+  try {
+    const autoBid = autoBidder.get(req.params.id);
+    if (!autoBid) {
+      return res.status(404).json({ success: false, message: 'Auto-bid not found' });
+    }
+    if (!['active', 'bidding', 'ceiling_reached'].includes(autoBid.status)) {
+      return res.status(409).json({ success: false, message: `Auto-bid is already ${autoBid.status}` });
+    }
+
+    const { maxBid } = req.body;
+    const validationError = validateSnipeInput({ maxBid }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    res.json({ success: true, autoBid: await autoBidder.update(autoBid.id, { maxBid }) });
+  } catch (error) {
+    console.error('Auto-bid update error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/auto-bids/:id', async (req, res) => {
+  try {
+    const autoBid = autoBidder.get(req.params.id);
+    if (!autoBid) {
+      return res.status(404).json({ success: false, message: 'Auto-bid not found' });
+    }
+    if (!['active', 'bidding', 'parked', 'ceiling_reached'].includes(autoBid.status)) {
+      return res.status(409).json({ success: false, message: `Auto-bid is already ${autoBid.status}` });
+    }
+
+    if (autoBid.status === 'parked') await sessionManager.cancelParked(autoBid.parkedBidId);
+    res.json({ success: true, autoBid: await autoBidder.cancel(autoBid.id) });
+  } catch (error) {
+    console.error('Auto-bid cancel error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Session health per account, including whether a two-factor code is needed
+// and which bids are parked until it is entered. ?refresh=true checks first.
+app.get('/session/status', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    const { accountId, refresh } = req.query;
+
+    if (accountId !== undefined) {
+      const accountError = await validateAccountId(accountId);
+      if (accountError) {
+        return res.status(400).json({ success: false, message: accountError });
+      }
+      if (refresh === 'true') await sessionManager.check(accountId);
+      return res.json({ success: true, session: sessionManager.status(accountId) });
+    }
+
+    if (refresh === 'true') await sessionManager.checkAll();
+    res.json({ success: true, sessions: await sessionManager.statusAll() });
+  } catch (error) {
+    console.error('Session status error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Drop a parked bid so it is not placed after the two-factor step
+app.delete('/session/parked-bids/:id', async (req, res) => {
+  try {
+    const parkedBid = await sessionManager.cancelParked(req.params.id);
+    if (!parkedBid) {
+      return res.status(404).json({ success: false, message: 'Parked bid not found' });
+    }
+    res.json({ success: true, parkedBid });
+  } catch (error) {
+    console.error('Parked bid cancel error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Account profiles, each with its own stored Buyee session
+app.get('/accounts', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    const list = await accounts.readAccounts();
+    const withState = [];
+    for (const account of list) {
+      withState.push({ ...account, loggedIn: await scraper.checkLoginState(account.id) });
+    }
+    res.json(withState);
+  } catch (error) {
+    console.error('Account list error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/accounts/:id', async (req, res) => {
+  try {
+    if (!accounts.isValidAccountId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid account ID' });
+    }
+    if (!await accounts.removeAccount(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Account removal error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// rememberCredentials: true stores the username and password (encrypted) once
+// the login is confirmed, so the session manager can renew the session;
+// false forgets stored ones. Without it stored credentials are left alone.
 app.post('/login', async (req, res) => {
   try {
     console.log('=== Login Request ===');
@@ -426,7 +1385,8 @@ app.post('/login', async (req, res) => {
       hasPassword: !!req.body.password
     });
 
-    const { username, password } = req.body;
+    const { username, password, accountId = accounts.DEFAULT_ACCOUNT, rememberCredentials } = req.body;
+    const remember = rememberCredentials === true || rememberCredentials === 'true';
 
     if (!username || !password) {
       return res.status(400).json({
@@ -435,18 +1395,44 @@ app.post('/login', async (req, res) => {
       });
     }
 
-    const loginResult = await scraper.login(username, password);
+    if (!accounts.isValidAccountId(accountId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account ID may only contain letters, digits, "-" and "_" (up to 64 characters)'
+      });
+    }
+
+    if (rememberCredentials === false || rememberCredentials === 'false') {
+      await vault.removeCredentials(accountId);
+    }
+
+    const loginResult = await scraper.login(username, password, accountId);
     
+    // The attempt ID has to come back with the code to /login-two-factor.
+    // The account is only registered, and credentials to remember stored,
+    // once the code is confirmed; until then they wait with the attempt.
     if (loginResult.requiresTwoFactor) {
+      const attempt = scraper.loginAttempts.get(loginResult.loginAttemptId);
+      attempt.username = username;
+      if (remember) attempt.credentials = { username, password };
       return res.json({
         success: true,
         requiresTwoFactor: true,
+        accountId,
+        loginAttemptId: loginResult.loginAttemptId,
+        expiresAt: loginResult.expiresAt,
         message: 'Two-factor authentication required'
       });
     }
 
+    await accounts.ensureAccount(accountId, { username });
+    if (remember) await vault.writeCredentials(accountId, { username, password });
+    await accounts.markLoggedIn(accountId);
+    sessionManager.handleLoggedIn(accountId)
+      .catch(error => console.error('Failed to place parked bids:', error));
     res.json({
       success: true,
+      accountId,
       message: 'Login successful',
       data: loginResult
     });
@@ -473,28 +1459,12 @@ app.post('/update-bid-prices', async (req, res) => {
       });
     }
 
-    const updatedBids = [];
-
-    for (const productUrl of productUrls) {
-      try {
-        const bidDetails = await scraper.updateBid(productUrl);
-        updatedBids.push(bidDetails);
-      } catch (error) {
-        console.error(`Failed to update bid for URL: ${productUrl}`, error);
-        updatedBids.push({
-          productUrl,
-          error: error.message || 'Failed to retrieve bid details',
-        });
-      }
-
-      // Avoid rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-    }
+    const job = jobQueue.add('update-bid-prices', { productUrls }, task => runUpdateBidPricesJob(task, productUrls));
 
-    res.json({
+    res.status(202).json({
       success: true,
-      updatedBids,
-      count: updatedBids.length,
+      jobId: job.id,
+      status: job.status
     });
   } catch (error) {
     console.error('Update bid prices error:', error);
@@ -505,9 +1475,78 @@ app.post('/update-bid-prices', async (req, res) => {
   }
 });
 
+async function runUpdateBidPricesJob(task, productUrls) {
+  task.setTotal(productUrls.length);
+
+  for (const productUrl of productUrls) {
+    try {
+      const bidDetails = await scraper.updateBid(productUrl);
+      task.pushResults([bidDetails]);
+      if (bidDetails.error) {
+        task.pushError({ productUrl, error: bidDetails.error });
+      }
+    } catch (error) {
+      console.error(`Failed to update bid for URL: ${productUrl}`, error);
+      const failure = {
+        productUrl,
+        error: error.message || 'Failed to retrieve bid details',
+      };
+      task.pushResults([failure]);
+      task.pushError(failure);
+    }
+    task.advance();
+
+    // Avoid rate limiting
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+
+  return { count: task.job.results.length };
+}
+
+// Job status, progress and (partial) results. Pass ?offset=n to only
+// receive results the client has not seen yet. A search with a sort streams
+// unsorted pages and is re-ordered on completion, so read it again from
+// offset 0 once the job has completed.
+app.get('/jobs/:id', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  res.json({
+    success: true,
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    results: job.results.slice(offset),
+    offset,
+    totalResultCount: job.results.length,
+    errors: job.errors,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  });
+});
+
+// Open and queued browser pages, for spotting requests piling up
+app.get('/browser-pool', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, pool: browserPool.stats() });
+});
+
 app.post('/login-two-factor', async (req, res) => {
   try {
-    const { twoFactorCode } = req.body;
+    const { twoFactorCode, loginAttemptId } = req.body;
 
     if (!twoFactorCode) {
       return res.status(400).json({
@@ -516,9 +1555,38 @@ app.post('/login-two-factor', async (req, res) => {
       });
     }
 
-    const loginResult = await scraper.submitTwoFactorCode(twoFactorCode);
+    if (!isValidLoginAttemptId(loginAttemptId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'loginAttemptId from the /login response is required'
+      });
+    }
+
+    // The account is the one the attempt was started for
+    const attempt = scraper.loginAttempts.get(loginAttemptId);
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login attempt not found or expired. Please log in again.'
+      });
+    }
+    if (req.body.accountId !== undefined && req.body.accountId !== attempt.accountId) {
+      return res.status(400).json({
+        success: false,
+        message: 'accountId does not match the login attempt'
+      });
+    }
+
+    const { accountId, username, credentials } = attempt;
+    const loginResult = await scraper.submitTwoFactorCode(twoFactorCode, loginAttemptId);
+    await accounts.ensureAccount(accountId, { username });
+    if (credentials) await vault.writeCredentials(accountId, credentials);
+    await accounts.markLoggedIn(accountId);
+    sessionManager.handleLoggedIn(accountId)
+      .catch(error => console.error('Failed to place parked bids:', error));
     res.json({
       success: true,
+      accountId,
       message: 'Two-factor authentication successful',
       data: loginResult
     });
@@ -562,15 +1630,39 @@ server.timeout = SERVER_TIMEOUT;
 server.keepAliveTimeout = 120000;
 server.headersTimeout = 120000;
 
+// Scheduled work that must keep the server alive while nobody is using it
+function hasBackgroundWork() {
+  return snipeScheduler.list({ status: 'pending' }).length > 0 ||
+    autoBidder.hasActive() ||
+    sessionManager.hasPending() ||
+    jobQueue.activeCount() > 0 ||
+    savedSearchMonitor.hasEnabled() ||
+    watchlist.hasActive() ||
+    bidTracker.hasPending();
+}
+
+function stopBackgroundWork() {
+  snipeScheduler.stop();
+  autoBidder.stop();
+  jobQueue.stop();
+  searchSessions.stop();
+  savedSearchMonitor.stop();
+  watchlist.stop();
+  bidTracker.stop();
+  webhooks.stop();
+  sessionManager.stop();
+}
+
 // Inactivity check interval
 const inactivityCheck = setInterval(() => {
   const timeSinceLastActivity = Date.now() - lastActivityTimestamp;
   
-  if (timeSinceLastActivity > INACTIVITY_TIMEOUT) {
+  if (timeSinceLastActivity > INACTIVITY_TIMEOUT && !hasBackgroundWork()) {
     console.log('No activity for 45 minutes, shutting down server...');
     
     // Cleanup before shutdown
     clearInterval(inactivityCheck);
+    stopBackgroundWork();
     
     // Close browser instances
     scraper.cleanup().then(() => {
@@ -590,6 +1682,7 @@ const inactivityCheck = setInterval(() => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
   clearInterval(inactivityCheck);
+  stopBackgroundWork();
   
   scraper.cleanup().then(() => {
     server.close(() => {
@@ -0,0 +1,340 @@
+const path = require('path');
+const crypto = require('crypto');
+const BuyeeScraper = require('./scrapper');
+const bidStore = require('./bidStore');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+const { marketplaceForUrl } = require('./marketplaces');
+const { DEFAULT_ACCOUNT } = require('./accounts');
+
+const autoBidFilePath = path.resolve(__dirname, './data/auto-bids.json');
+
+const TICK_INTERVAL = 5000;
+const MAX_HISTORY = 200;
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// Poll more often the closer the auction is to ending; other bidders pile in
+// at the end and every missed increment is a lost auction
+function checkIntervalFor(secondsRemaining) {
+  if (secondsRemaining === null || secondsRemaining === undefined) return 60 * 1000;
+  const interval = (secondsRemaining * 1000) / 10;
+  return Math.min(Math.max(interval, 15 * 1000), 10 * 60 * 1000);
+}
+
+// Proxy bidding: keeps our bid on top of an auction, one increment at a
+// time, until the ceiling (maxBid) would be exceeded or the auction ends.
+// Every check that changes something is appended to the entry's history and
+// every bid attempt is recorded in the bid history.
+class AutoBidder {
+  // bidder: as for SnipeScheduler; the scraper itself or the session manager
+  constructor(scraper, { filePath = autoBidFilePath, bidder = scraper } = {}) {
+    this.scraper = scraper;
+    this.bidder = bidder;
+    this.filePath = filePath;
+    this.autoBids = [];
+    this.timer = null;
+    this.ticking = false;
+    this.enqueueWrite = createWriteQueue('auto-bids');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { autoBids: [] });
+    this.autoBids = data.autoBids || [];
+
+    // A bid in flight when the process died may or may not have gone out;
+    // the next check compares the live price with our last known bid
+    for (const autoBid of this.autoBids) {
+      if (autoBid.status === 'bidding') {
+        autoBid.status = 'active';
+        this.log(autoBid, 'interrupted', { message: 'Server restarted while placing a bid' });
+      }
+    }
+
+    console.log(`Loaded ${this.autoBids.length} auto-bid(s)`);
+    await this.save();
+  }
+
+  save() {
+    return this.enqueueWrite(() => writeJsonAtomic(this.filePath, { autoBids: this.autoBids }));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  hasActive() {
+    return this.autoBids.some(autoBid => ['active', 'bidding', 'parked'].includes(autoBid.status));
+  }
+
+  list({ status } = {}) {
+    return this.autoBids.filter(autoBid => !status || autoBid.status === status);
+  }
+
+  get(id) {
+    return this.autoBids.find(autoBid => autoBid.id === id) || null;
+  }
+
+  log(autoBid, action, details = {}) {
+    const at = new Date().toISOString();
+    autoBid.history.push({ at, action, ...details });
+    if (autoBid.history.length > MAX_HISTORY) {
+      autoBid.history.splice(0, autoBid.history.length - MAX_HISTORY);
+    }
+    autoBid.updatedAt = at;
+  }
+
+  async create({ productUrl, maxBid, planId, accountId = DEFAULT_ACCOUNT }) {
+    const marketplace = marketplaceForUrl(productUrl);
+    if (!marketplace.isAuction) {
+      throw new Error('Auto-bidding is only supported for auction listings');
+    }
+
+    const existing = this.autoBids.find(autoBid =>
+      autoBid.productUrl === productUrl && ['active', 'bidding', 'parked'].includes(autoBid.status)
+    );
+    if (existing) {
+      throw new Error(`Auction already has an active auto-bid (${existing.id})`);
+    }
+
+    const now = new Date().toISOString();
+    const autoBid = {
+      id: crypto.randomUUID(),
+      productUrl,
+      auctionId: BuyeeScraper.extractAuctionId(productUrl),
+      accountId,
+      maxBid: Number(maxBid),
+      planId: planId !== undefined ? String(planId) : null,
+      status: 'active',
+      currentPriceYen: null,
+      secondsRemaining: null,
+      lastBidAmount: null,
+      lastBidId: null,
+      bidCount: 0,
+      consecutiveFailures: 0,
+      lastCheckedAt: null,
+      error: null,
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Read the auction straight away so bad URLs and low ceilings fail on registration
+    const bidDetails = await this.scraper.updateBid(productUrl);
+    if (bidDetails.error) {
+      throw new Error(bidDetails.error);
+    }
+    if (bidDetails.ended) {
+      throw new Error('Auction has already ended');
+    }
+    if (bidDetails.priceYen === null) {
+      throw new Error(`Could not read the current price: ${bidDetails.price}`);
+    }
+
+    const nextBid = marketplace.minimumNextBid(bidDetails.priceYen, 1);
+    if (nextBid > autoBid.maxBid) {
+      throw new Error(`Max bid ${autoBid.maxBid} is below the next valid bid of ${nextBid}`);
+    }
+
+    this.applyReading(autoBid, bidDetails);
+    this.log(autoBid, 'registered', { priceYen: bidDetails.priceYen, maxBid: autoBid.maxBid });
+
+    this.autoBids.push(autoBid);
+    await this.save();
+    return autoBid;
+  }
+
+  async update(id, { maxBid }) {
+    const autoBid = this.get(id);
+    if (!autoBid) return null;
+
+    if (maxBid !== undefined) {
+      autoBid.maxBid = Number(maxBid);
+      this.log(autoBid, 'ceiling_changed', { maxBid: autoBid.maxBid });
+
+      // A raised ceiling puts a stopped auto-bid back to work
+      if (autoBid.status === 'ceiling_reached' && autoBid.maxBid > (autoBid.lastBidAmount || 0)) {
+        autoBid.status = 'active';
+        autoBid.lastCheckedAt = null;
+      }
+    }
+
+    await this.save();
+    return autoBid;
+  }
+
+  async cancel(id) {
+    const autoBid = this.get(id);
+    if (!autoBid) return null;
+    // Cancelling its parked bid may already have done this
+    if (autoBid.status === 'cancelled') return autoBid;
+
+    autoBid.status = 'cancelled';
+    this.log(autoBid, 'cancelled');
+
+    await this.save();
+    return autoBid;
+  }
+
+  applyReading(autoBid, bidDetails) {
+    autoBid.lastCheckedAt = new Date().toISOString();
+    autoBid.currentPriceYen = bidDetails.priceYen;
+    autoBid.secondsRemaining = bidDetails.secondsRemaining;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+
+      for (const autoBid of this.list({ status: 'active' })) {
+        const sinceCheck = autoBid.lastCheckedAt
+          ? now - new Date(autoBid.lastCheckedAt).getTime()
+          : Infinity;
+
+        if (sinceCheck >= checkIntervalFor(autoBid.secondsRemaining)) {
+          await this.check(autoBid);
+          await this.save();
+        }
+      }
+    } catch (error) {
+      console.error('Auto-bid tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Whether someone else holds the auction: the price has passed our bid, or
+  // the bid status tracker has seen us outbid on My Page
+  async isOutbid(autoBid) {
+    if (autoBid.lastBidAmount === null) return true;
+    if (autoBid.currentPriceYen > autoBid.lastBidAmount) return true;
+
+    const lastBid = autoBid.lastBidId ? await bidStore.getBid(autoBid.lastBidId) : null;
+    return Boolean(lastBid && lastBid.outcome === 'outbid');
+  }
+
+  async check(autoBid) {
+    const bidDetails = await this.scraper.updateBid(autoBid.productUrl);
+
+    if (bidDetails.error || bidDetails.priceYen === null) {
+      autoBid.lastCheckedAt = new Date().toISOString();
+      autoBid.error = bidDetails.error || `Could not read the current price: ${bidDetails.price}`;
+      return;
+    }
+
+    this.applyReading(autoBid, bidDetails);
+    autoBid.error = null;
+
+    if (bidDetails.ended) {
+      autoBid.status = 'ended';
+      this.log(autoBid, 'ended', { priceYen: bidDetails.priceYen });
+      return;
+    }
+
+    if (!await this.isOutbid(autoBid)) return;
+
+    if (autoBid.lastBidAmount !== null) {
+      this.log(autoBid, 'outbid', { priceYen: bidDetails.priceYen, lastBidAmount: autoBid.lastBidAmount });
+    }
+
+    // The displayed price may already include bids, so always go one increment above it
+    const amount = marketplaceForUrl(autoBid.productUrl).minimumNextBid(bidDetails.priceYen, 1);
+    if (amount > autoBid.maxBid) {
+      autoBid.status = 'ceiling_reached';
+      this.log(autoBid, 'ceiling_reached', { priceYen: bidDetails.priceYen, nextBid: amount, maxBid: autoBid.maxBid });
+      return;
+    }
+
+    await this.bid(autoBid, amount);
+  }
+
+  async bid(autoBid, amount) {
+    autoBid.status = 'bidding';
+    await this.save();
+
+    console.log(`Auto-bid ${autoBid.id}: bidding ${amount} on ${autoBid.productUrl}`);
+
+    try {
+      const bidOptions = { accountId: autoBid.accountId };
+      if (autoBid.planId) bidOptions.planId = autoBid.planId;
+      const response = await this.bidder.placeBid(autoBid.productUrl, amount, bidOptions, { type: 'auto-bid', id: autoBid.id });
+
+      // Waiting for a two-factor code; resolveParked picks up from here
+      if (response.parked) {
+        if (autoBid.status === 'bidding') autoBid.status = 'parked';
+        autoBid.parkedBidId = response.parkedBidId;
+        this.log(autoBid, 'bid_parked', { amount, parkedBidId: response.parkedBidId });
+        await this.save();
+        return;
+      }
+
+      const bid = await bidStore.recordBid({
+        auctionId: autoBid.auctionId,
+        productUrl: autoBid.productUrl,
+        accountId: autoBid.accountId,
+        bidAmount: amount,
+        plan: response.details?.plan || autoBid.planId,
+        success: response.success,
+        error: response.debug?.error || response.message
+      });
+
+      this.applyBidResult(autoBid, amount, response, bid);
+    } catch (error) {
+      console.error(`Auto-bid ${autoBid.id} failed:`, error);
+      this.applyBidResult(autoBid, amount, { success: false, message: error.message }, null);
+    }
+
+    await this.save();
+  }
+
+  applyBidResult(autoBid, amount, response, bid) {
+    const bidId = bid ? bid.id : null;
+    if (response.success) {
+      autoBid.lastBidAmount = amount;
+      autoBid.lastBidId = bidId;
+      autoBid.bidCount++;
+      autoBid.consecutiveFailures = 0;
+      this.log(autoBid, 'bid_placed', { amount, bidId });
+    } else {
+      autoBid.consecutiveFailures++;
+      this.log(autoBid, 'bid_failed', { amount, bidId, message: response.message });
+    }
+
+    // Leave it alone if it was cancelled while the bid was going out
+    if (autoBid.status === 'bidding' || autoBid.status === 'parked') {
+      autoBid.status = autoBid.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES ? 'failed' : 'active';
+      if (autoBid.status === 'failed') {
+        autoBid.error = `Stopped after ${MAX_CONSECUTIVE_FAILURES} failed bids in a row`;
+      }
+    }
+  }
+
+  // A parked bid went out after the two-factor code was entered, was
+  // cancelled, or was dropped; then the next check reads the auction again
+  async resolveParked(id, { parkedBid, response, bid, dropped, cancelled }) {
+    const autoBid = this.get(id);
+    if (!autoBid || autoBid.status !== 'parked') return;
+
+    autoBid.parkedBidId = null;
+    if (cancelled) {
+      autoBid.status = 'cancelled';
+      this.log(autoBid, 'cancelled', { parkedBidId: parkedBid.id });
+    } else if (dropped) {
+      autoBid.status = 'active';
+      autoBid.lastCheckedAt = null;
+      this.log(autoBid, 'bid_dropped', { amount: parkedBid.bidAmount, message: dropped });
+    } else {
+      this.applyBidResult(autoBid, parkedBid.bidAmount, response, bid);
+    }
+    await this.save();
+  }
+}
+
+module.exports = AutoBidder;
@@ -0,0 +1,108 @@
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+const { marketplaceForUrl } = require('./marketplaces');
+const { DEFAULT_ACCOUNT } = require('./accounts');
+
+const bidFilePath = path.resolve(__dirname, './data/bids.json');
+
+// Emits 'recorded' with each bid once it has been written
+const events = new EventEmitter();
+
+// Writes are chained so concurrent bid attempts never overwrite each other
+const enqueueWrite = createWriteQueue();
+
+async function readBids() {
+  const bidsData = await readJson(bidFilePath, { bids: [] });
+
+  // Older files may be a bare array instead of { bids: [...] }
+  return Array.isArray(bidsData) ? bidsData : (bidsData.bids || []);
+}
+
+function updateBids(mutate) {
+  return enqueueWrite(async () => {
+    const bids = await readBids();
+    const value = mutate(bids);
+    await writeJsonAtomic(bidFilePath, { bids });
+    return value;
+  });
+}
+
+// Record a single bid attempt, successful or not
+function recordBid({ auctionId, productUrl, source = null, accountId = DEFAULT_ACCOUNT, bidAmount, plan = null, success, error = null }) {
+  const bid = {
+    id: crypto.randomUUID(),
+    auctionId: auctionId || null,
+    productUrl,
+    source: source || marketplaceForUrl(productUrl).id,
+    accountId,
+    bidAmount: Number(bidAmount),
+    plan,
+    status: success ? 'placed' : 'failed',
+    error: success ? null : (error || 'Unknown error'),
+    // highest, outbid, won or lost once the bid status tracker has seen it
+    outcome: null,
+    outcomeCheckedAt: null,
+    timestamp: new Date().toISOString()
+  };
+
+  return updateBids(bids => {
+    bids.push(bid);
+    return bid;
+  }).then(recorded => {
+    events.emit('recorded', recorded);
+    return recorded;
+  });
+}
+
+async function getBid(id) {
+  const bids = await readBids();
+  return bids.find(bid => bid.id === id) || null;
+}
+
+// Merge `changes` into a recorded bid; resolves to the updated bid, or null
+// when no bid has that ID
+function updateBid(id, changes) {
+  return updateBids(bids => {
+    const index = bids.findIndex(bid => bid.id === id);
+    if (index === -1) return null;
+
+    bids[index] = { ...bids[index], ...changes, id };
+    return bids[index];
+  });
+}
+
+// Date-only bounds ("2025-01-27") cover the whole day when used as an upper limit
+function parseDateBound(value, endOfDay = false) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return time + 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+}
+
+// Filter bid history by auction, account, status and date range
+async function queryBids({ auctionId, accountId, status, from, to } = {}) {
+  const bids = await readBids();
+  const fromTime = parseDateBound(from);
+  const toTime = parseDateBound(to, true);
+
+  return bids
+    .filter(bid => {
+      if (auctionId && bid.auctionId !== auctionId) return false;
+      // Bids recorded before accounts existed belong to the default account
+      if (accountId && (bid.accountId || DEFAULT_ACCOUNT) !== accountId) return false;
+      if (status && bid.status !== status) return false;
+
+      const bidTime = new Date(bid.timestamp).getTime();
+      if (fromTime !== null && !(bidTime >= fromTime)) return false;
+      if (toTime !== null && !(bidTime <= toTime)) return false;
+
+      return true;
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+module.exports = { bidFilePath, events, readBids, recordBid, getBid, updateBid, queryBids };
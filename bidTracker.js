@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const bidStore = require('./bidStore');
+const { DEFAULT_ACCOUNT } = require('./accounts');
+
+const DEFAULT_CHECK_MINUTES = 10;
+// A fresh bid can take a moment to show up on My Page
+const LISTING_GRACE_MINUTES = 15;
+const CHECK_AFTER_BID_DELAY = 30 * 1000;
+const FINAL_OUTCOMES = ['won', 'lost'];
+
+// Follows placed bids through Buyee's My Page lists and records whether each
+// one is currently the highest bid, has been outbid, or has won or lost.
+// Emits 'outcome_changed' with { bid, previousOutcome }.
+class BidStatusTracker extends EventEmitter {
+  constructor(scraper, jobQueue, { checkMinutes = DEFAULT_CHECK_MINUTES } = {}) {
+    super();
+    this.scraper = scraper;
+    this.jobQueue = jobQueue;
+    this.checkMinutes = checkMinutes;
+    this.timer = null;
+    this.checking = null;
+    this.queued = false;
+    this.pendingCount = 0;
+    this.onRecorded = bid => this.handleRecorded(bid);
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    this.pendingCount = (await this.trackedBids()).length;
+    this.timer = setInterval(() => this.enqueueCheck(), this.checkMinutes * 60 * 1000);
+    bidStore.events.on('recorded', this.onRecorded);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    bidStore.events.off('recorded', this.onRecorded);
+  }
+
+  // Placed bids whose auction is still undecided
+  hasPending() {
+    return this.pendingCount > 0;
+  }
+
+  async trackedBids() {
+    const bids = await bidStore.readBids();
+    return bids.filter(bid =>
+      bid.status === 'placed' &&
+      bid.auctionId &&
+      (!bid.source || bid.source === 'yahoo') &&
+      !FINAL_OUTCOMES.includes(bid.outcome)
+    );
+  }
+
+  // Check shortly after a successful bid to learn whether it is the highest
+  handleRecorded(bid) {
+    if (bid.status !== 'placed') return;
+
+    this.pendingCount++;
+    setTimeout(() => this.enqueueCheck(), CHECK_AFTER_BID_DELAY).unref();
+  }
+
+  // Checks run through the job queue so they take turns with searches
+  enqueueCheck() {
+    if (this.queued || !this.hasPending()) return null;
+
+    this.queued = true;
+    return this.jobQueue.add('bid-status', {}, async task => {
+      try {
+        task.setTotal(1);
+        const result = await this.check();
+        task.advance();
+        return result;
+      } finally {
+        this.queued = false;
+      }
+    });
+  }
+
+  // Concurrent callers share one run so My Page is only scraped once at a time
+  check() {
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
+  // Check one bid against its own account's My Page, leaving other accounts
+  // alone; a bid that is no longer tracked is not checked
+  async checkBid(bidId) {
+    const bid = (await this.trackedBids()).find(tracked => tracked.id === bidId);
+    if (!bid) return { checked: 0, changed: 0 };
+
+    const changed = await this.checkAccount(bid.accountId || DEFAULT_ACCOUNT, [bid]);
+    this.pendingCount = (await this.trackedBids()).length;
+    return { checked: 1, changed };
+  }
+
+  async runCheck() {
+    const tracked = await this.trackedBids();
+    if (tracked.length === 0) {
+      this.pendingCount = 0;
+      return { checked: 0, changed: 0, errors: [] };
+    }
+
+    // Each account only sees its own bids on My Page
+    const byAccount = new Map();
+    for (const bid of tracked) {
+      const accountId = bid.accountId || DEFAULT_ACCOUNT;
+      if (!byAccount.has(accountId)) byAccount.set(accountId, []);
+      byAccount.get(accountId).push(bid);
+    }
+
+    let changed = 0;
+    const errors = [];
+    for (const [accountId, accountBids] of byAccount) {
+      try {
+        changed += await this.checkAccount(accountId, accountBids);
+      } catch (error) {
+        console.error(`Bid status check failed for account ${accountId}:`, error);
+        errors.push({ accountId, error: error.message });
+      }
+    }
+
+    this.pendingCount = (await this.trackedBids()).length;
+    return { checked: tracked.length, changed, errors };
+  }
+
+  // End time of a bid's auction, from the item page unless it is already
+  // known to have passed; null when it cannot be read
+  async auctionEnd(bid, now) {
+    if (bid.endsAt && new Date(bid.endsAt).getTime() <= now) return bid.endsAt;
+
+    const bidDetails = await this.scraper.updateBid(bid.productUrl);
+    if (bidDetails.error) return null;
+    return bidDetails.ended ? (bidDetails.endsAt || new Date(now).toISOString()) : bidDetails.endsAt;
+  }
+
+  async checkAccount(accountId, tracked) {
+    const { bidding, won } = await this.scraper.scrapeMyAuctions(accountId);
+    const biddingById = new Map(bidding.map(item => [item.auctionId, item]));
+    const wonIds = new Set(won.map(item => item.auctionId));
+
+    const now = Date.now();
+    const checkedAt = new Date(now).toISOString();
+
+    // A bid missing from both lists has either ended or the lists did not
+    // parse; its end time from the item page tells which
+    const endTimes = new Map();
+    for (const bid of tracked) {
+      const listed = wonIds.has(bid.auctionId) || biddingById.has(bid.auctionId);
+      const settled = now - new Date(bid.timestamp).getTime() > LISTING_GRACE_MINUTES * 60 * 1000;
+      if (!listed && settled) endTimes.set(bid.id, await this.auctionEnd(bid, now));
+    }
+
+    // An empty bidding list while one of those auctions is still running
+    // means My Page did not parse, so absence from it proves nothing
+    const listsParsed = bidding.length > 0 ||
+      ![...endTimes.values()].some(endsAt => endsAt && new Date(endsAt).getTime() > now);
+
+    let changed = 0;
+    for (const bid of tracked) {
+      const previousOutcome = bid.outcome || null;
+      let outcome = previousOutcome;
+      const changes = {};
+
+      if (wonIds.has(bid.auctionId)) {
+        outcome = 'won';
+      } else if (biddingById.has(bid.auctionId)) {
+        outcome = biddingById.get(bid.auctionId).biddingStatus || outcome;
+      } else if (endTimes.has(bid.id)) {
+        const endsAt = endTimes.get(bid.id);
+        if (endsAt) changes.endsAt = endsAt;
+
+        // Ended auctions leave the bidding list; not on the won list means lost
+        if (listsParsed && endsAt && new Date(endsAt).getTime() <= now) {
+          outcome = 'lost';
+        }
+      }
+
+      const updated = await bidStore.updateBid(bid.id, { ...changes, outcome, outcomeCheckedAt: checkedAt });
+      if (updated && outcome !== previousOutcome) {
+        changed++;
+        this.emit('outcome_changed', { bid: updated, previousOutcome });
+      }
+    }
+
+    return changed;
+  }
+}
+
+module.exports = BidStatusTracker;
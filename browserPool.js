@@ -0,0 +1,234 @@
+const { chromium } = require('playwright-core');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins,site-per-process',
+  // Memory optimization flags
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--single-process',
+  // Heroku-specific flags
+  '--no-zygote',
+  '--js-flags="--max-old-space-size=460"'
+];
+
+const DEFAULT_MAX_PAGES = 3;
+const DEFAULT_MAX_AGE_MINUTES = 60;
+const DEFAULT_MAX_CONTEXTS = 200;
+const DEFAULT_QUEUE_TIMEOUT = 2 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL = 60 * 1000;
+const HEALTH_CHECK_TIMEOUT = 10 * 1000;
+const IDLE_CLOSE_AFTER = 5 * 60 * 1000;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// One shared Chromium for the whole process. Every caller gets its own
+// context through acquire(), and at most maxPages contexts are open at once;
+// the rest wait in line. Closing the context hands its slot to the next caller.
+// Priority callers (bids) go to the front of the line, and when the pool has
+// more than one page the last free one is held back for them.
+//
+// The browser is recycled once it is older than maxAgeMinutes or has served
+// maxContexts contexts: new callers wait while the open contexts finish, then
+// the old browser closes and a fresh one is launched. A health check closes a
+// browser that stops responding, and one that has sat idle for a while.
+class BrowserPool {
+  constructor({
+    maxPages = DEFAULT_MAX_PAGES,
+    maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES,
+    maxContexts = DEFAULT_MAX_CONTEXTS,
+    queueTimeout = DEFAULT_QUEUE_TIMEOUT
+  } = {}) {
+    this.maxPages = maxPages;
+    this.maxAge = maxAgeMinutes * 60 * 1000;
+    this.maxContexts = maxContexts;
+    this.queueTimeout = queueTimeout;
+
+    this.browser = null;
+    this.launching = null;
+    this.launchedAt = null;
+    this.contextsServed = 0;
+    this.lastReleasedAt = Date.now();
+
+    this.active = 0;
+    this.waiting = [];
+    this.retiring = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.checkHealth().catch(error => console.error('Browser health check failed:', error));
+    }, HEALTH_CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // A new browser context from the pool; close it when done to free the slot
+  // queueTimeout: how long to wait in line, defaulting to the pool's own
+  async acquire(contextOptions = {}, { priority = false, queueTimeout = this.queueTimeout } = {}) {
+    this.start();
+    await this.waitForSlot(priority, queueTimeout);
+
+    try {
+      const browser = await this.getBrowser();
+      const context = await browser.newContext(contextOptions);
+      this.contextsServed++;
+      context.once('close', () => this.release());
+      return context;
+    } catch (error) {
+      this.release();
+      throw error;
+    }
+  }
+
+  waitForSlot(priority = false, queueTimeout = this.queueTimeout) {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, priority };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(other => other !== waiter);
+        const error = new Error('Timed out waiting for a free browser page');
+        error.code = 'POOL_TIMEOUT';
+        reject(error);
+      }, queueTimeout);
+
+      // Behind earlier priority callers, ahead of everyone else
+      const index = priority ? this.waiting.findIndex(other => !other.priority) : -1;
+      if (index === -1) {
+        this.waiting.push(waiter);
+      } else {
+        this.waiting.splice(index, 0, waiter);
+      }
+      this.dispatch();
+    });
+  }
+
+  // Pages a caller may bring the pool up to
+  limitFor(waiter) {
+    return waiter.priority || this.maxPages === 1 ? this.maxPages : this.maxPages - 1;
+  }
+
+  release() {
+    this.active = Math.max(0, this.active - 1);
+    this.lastReleasedAt = Date.now();
+    this.dispatch();
+  }
+
+  needsRecycle() {
+    if (!this.browser) return false;
+    return Date.now() - this.launchedAt > this.maxAge || this.contextsServed >= this.maxContexts;
+  }
+
+  // Hand free slots to waiting callers in order, or drain a browser that is
+  // due for recycling before handing out any more
+  dispatch() {
+    if (!this.retiring && this.waiting.length > 0 && this.needsRecycle()) {
+      console.log('Recycling browser once its open pages finish');
+      this.retiring = true;
+    }
+
+    if (this.retiring) {
+      if (this.active === 0) {
+        this.retiring = false;
+        this.active++; // Hold a slot so nothing launches until the old browser is gone
+        this.closeBrowser().finally(() => this.release());
+      }
+      return;
+    }
+
+    while (this.waiting.length > 0 && this.active < this.limitFor(this.waiting[0])) {
+      const waiter = this.waiting.shift();
+      clearTimeout(waiter.timer);
+      this.active++;
+      waiter.resolve();
+    }
+  }
+
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) return this.browser;
+
+    if (!this.launching) {
+      this.launching = chromium.launch({ headless: true, args: LAUNCH_ARGS })
+        .then(browser => {
+          this.browser = browser;
+          this.launchedAt = Date.now();
+          this.contextsServed = 0;
+          browser.on('disconnected', () => {
+            if (this.browser === browser) this.browser = null;
+          });
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+    return this.launching;
+  }
+
+  async closeBrowser() {
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) await browser.close().catch(error => console.error('Error closing browser:', error));
+  }
+
+  // Runs only while nothing is using the browser, holding a slot meanwhile
+  async checkHealth() {
+    if (!this.browser || this.active > 0 || this.waiting.length > 0 || this.retiring) return;
+
+    this.active++;
+    try {
+      if (Date.now() - this.lastReleasedAt > IDLE_CLOSE_AFTER) {
+        console.log('Closing idle browser');
+        await this.closeBrowser();
+        return;
+      }
+
+      const context = await withTimeout(this.browser.newContext(), HEALTH_CHECK_TIMEOUT, 'Browser did not respond');
+      await context.close();
+    } catch (error) {
+      console.error('Browser failed its health check, closing it:', error.message);
+      await this.closeBrowser();
+    } finally {
+      this.active--;
+      this.dispatch();
+    }
+  }
+
+  stats() {
+    return {
+      maxPages: this.maxPages,
+      activePages: this.active,
+      queued: this.waiting.length,
+      browserRunning: !!this.browser,
+      browserAgeSeconds: this.browser ? Math.round((Date.now() - this.launchedAt) / 1000) : null,
+      contextsServed: this.contextsServed,
+      retiring: this.retiring
+    };
+  }
+
+  // Close the browser and fail anyone still waiting for a page
+  async close() {
+    this.stop();
+    for (const waiter of this.waiting) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool closed'));
+    }
+    this.waiting = [];
+    await this.closeBrowser();
+  }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,22 @@
+// Spaces out requests to the same host by at least minInterval ms, across
+// every caller sharing the limiter. Each call reserves the next free start
+// time for its host, so parallel workers queue up instead of bursting.
+class HostRateLimiter {
+  constructor({ minInterval = 1000 } = {}) {
+    this.minInterval = minInterval;
+    this.nextStart = new Map();
+  }
+
+  async wait(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const start = Math.max(now, this.nextStart.get(host) || 0);
+    this.nextStart.set(host, start + this.minInterval);
+
+    if (start > now) {
+      await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+  }
+}
+
+module.exports = HostRateLimiter;
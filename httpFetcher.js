@@ -0,0 +1,80 @@
+const { parseHTML } = require('linkedom');
+const vault = require('./vault');
+const { DEFAULT_ACCOUNT } = require('./accounts');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Cookie header for url from a stored session, skipping expired cookies and
+// those scoped to another host or path
+function cookieHeaderFor(url, cookies = []) {
+  const { hostname, pathname } = new URL(url);
+  const now = Date.now() / 1000;
+
+  return cookies
+    .filter(cookie => {
+      const domain = (cookie.domain || '').replace(/^\./, '');
+      const hostMatches = hostname === domain || hostname.endsWith(`.${domain}`);
+      const pathMatches = pathname.startsWith(cookie.path || '/');
+      const live = !(cookie.expires > 0 && cookie.expires <= now);
+      return hostMatches && pathMatches && live;
+    })
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+// Fetch a server-rendered page with the account's stored cookies and parse it.
+// Resolves to { document, window, url } where url is the final URL after
+// redirects; throws on a non-2xx response or a redirect to the login page.
+async function fetchDocument(url, { accountId = DEFAULT_ACCOUNT, timeout = 25000 } = {}) {
+  // Search and item pages do not need a login, so go on without one
+  const loginState = await vault.readSession(accountId).catch(error => {
+    console.warn('Error reading login state:', error.message);
+    return null;
+  }) || { cookies: [] };
+  const cookie = cookieHeaderFor(url, loginState.cookies);
+
+  const response = await fetch(url, {
+    headers: {
+      'user-agent': loginState.userAgent || DEFAULT_USER_AGENT,
+      'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'accept-language': 'en-US,en;q=0.9',
+      ...(cookie ? { cookie } : {})
+    },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  if (response.url.includes('/signup/login')) {
+    throw new Error('Redirected to the login page');
+  }
+
+  const { document } = parseHTML(await response.text());
+  // The extractors only ever read window.location
+  const window = { location: new URL(response.url) };
+  return { document, window, url: response.url };
+}
+
+// Run one of the in-page extractor functions (the ones handed to
+// page.evaluate()) against a parsed document. They are self-contained, so
+// rebuilding them with document and window in scope is all they need.
+function runExtractor(fn, { document, window }, ...args) {
+  const bound = new Function('document', 'window', `return (${fn.toString()});`)(document, window);
+  return bound(...args);
+}
+
+// Without a base URL linkedom leaves img.src as written in the HTML, so
+// resolve image URLs against the page the way the browser would
+function resolveImageUrls(images = [], pageUrl) {
+  return images.map(src => {
+    try {
+      return new URL(src, pageUrl).href;
+    } catch {
+      return src;
+    }
+  });
+}
+
+module.exports = { cookieHeaderFor, fetchDocument, runExtractor, resolveImageUrls };
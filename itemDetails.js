@@ -0,0 +1,116 @@
+const { parsePrice } = require('./priceParser');
+
+// Runs in the page: gather the raw text of an item page's info table,
+// seller block, breadcrumb and description. Kept self-contained so it can be
+// passed straight to page.evaluate().
+function extractItemInfo() {
+  const text = (el) => (el && el.textContent ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+
+  // Label/value rows, e.g. <li><span class="g-title">Starting Price</span><span>100 YEN</span></li>
+  const rows = {};
+  const rowElements = document.querySelectorAll(
+    '.itemInformation__infoItem, .itemInfo__row, .itemDetail__list li, .itemDetail tr, dl.itemDetail__spec > div'
+  );
+  rowElements.forEach(row => {
+    const labelEl = row.querySelector('.g-title, dt, th');
+    const label = text(labelEl);
+    if (!label) return;
+
+    const value = text(row).replace(label, '').trim();
+    if (value && !(label in rows)) {
+      rows[label] = value;
+    }
+  });
+
+  const sellerEl = document.querySelector('.sellerInfo__name a, .sellerInfo a[href*="seller"], a[href*="/seller/"]');
+  const sellerHref = sellerEl ? sellerEl.getAttribute('href') : null;
+  const sellerRatingEl = document.querySelector('.sellerInfo__rating, .sellerInfo .rating, .seller-rating');
+
+  const categoryPath = Array.from(document.querySelectorAll(
+    '.breadcrumb li, .g-breadcrumb li, .breadcrumbs li, [itemprop="itemListElement"]'
+  ))
+    .map(text)
+    .filter(Boolean);
+
+  const descriptionEl = document.querySelector(
+    '#itemDescription, .itemDescription, #auc_item_description, .item-description, #description'
+  );
+
+  return {
+    rows,
+    sellerName: text(sellerEl),
+    sellerHref,
+    sellerRating: text(sellerRatingEl),
+    categoryPath,
+    description: text(descriptionEl)
+  };
+}
+
+// Find the first row whose label matches
+function findRow(rows, pattern) {
+  const label = Object.keys(rows).find(key => pattern.test(key));
+  return label ? rows[label] : null;
+}
+
+function parseInteger(value) {
+  if (!value) return null;
+  const match = value.match(/\d[\d,]*/);
+  return match ? parseInt(match[0].replace(/,/g, ''), 10) : null;
+}
+
+function parseOptionalPrice(value) {
+  if (!value) return null;
+  const parsed = parsePrice(value);
+  return parsed.priceYen === null ? null : parsed;
+}
+
+function parseSeller(info) {
+  const sellerText = findRow(info.rows, /^seller|出品者/i);
+  const ratingText = info.sellerRating || findRow(info.rows, /rating|評価/i);
+
+  // Seller links end in the seller ID, e.g. /item/yahoo/seller/abc_123
+  const hrefMatch = info.sellerHref && info.sellerHref.match(/seller\/([^/?#]+)/i);
+  const id = hrefMatch ? decodeURIComponent(hrefMatch[1]) : (info.sellerName || sellerText || null);
+
+  const percentMatch = ratingText && ratingText.match(/(\d+(?:\.\d+)?)\s*%/);
+  const rating = ratingText ? parseInteger(ratingText.replace(/\d+(?:\.\d+)?\s*%/, '')) : null;
+
+  if (!id && rating === null && !percentMatch) return null;
+
+  return {
+    id,
+    rating,
+    positivePercent: percentMatch ? parseFloat(percentMatch[1]) : null
+  };
+}
+
+function parseShipping(value) {
+  if (!value) return null;
+  const free = /free|無料|出品者.*負担|seller pays/i.test(value);
+  return {
+    feeYen: free ? 0 : parsePrice(value).priceYen,
+    raw: value
+  };
+}
+
+// Turn the raw page text into structured detail fields. Every field is null
+// when the page does not show it.
+function parseItemInfo(info, auctionIdFromUrl = null) {
+  const rows = info.rows || {};
+
+  const categoryPath = (info.categoryPath || []).filter(name => !/^(top|home|トップ)$/i.test(name));
+
+  return {
+    auctionId: findRow(rows, /auction\s*id|オークションid/i) || auctionIdFromUrl || null,
+    seller: parseSeller({ ...info, rows }),
+    bidCount: parseInteger(findRow(rows, /(number of )?bids|入札件数|入札数/i)),
+    startPrice: parseOptionalPrice(findRow(rows, /start(ing)?\s*price|開始価格/i)),
+    buyNowPrice: parseOptionalPrice(findRow(rows, /buy\s*(it\s*)?now|buyout|即決/i)),
+    condition: findRow(rows, /condition|状態/i),
+    domesticShipping: parseShipping(findRow(rows, /shipping|送料/i)),
+    categoryPath: categoryPath.length > 0 ? categoryPath : null,
+    description: info.description || null
+  };
+}
+
+module.exports = { extractItemInfo, parseItemInfo };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+const JOB_TTL = 30 * 60 * 1000; // Keep finished jobs for 30 minutes
+
+// In-process queue for long-running scrapes. Routes enqueue work and return a
+// job ID; a bounded number of workers drain the queue in the background.
+class JobQueue {
+  constructor({ concurrency = 1, ttl = JOB_TTL } = {}) {
+    this.concurrency = concurrency;
+    this.ttl = ttl;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  // handler(task) receives helpers to report progress while it runs and
+  // resolves with the job's final result
+  add(type, params, handler) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      progress: { completed: 0, total: null },
+      results: [],
+      errors: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, handler });
+    this.drain();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Number of jobs queued or running
+  activeCount() {
+    return this.pending.length + this.running;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { job, handler } = this.pending.shift();
+      this.running++;
+
+      this.run(job, handler).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job, handler) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const task = {
+      job,
+      setTotal: (total) => {
+        job.progress.total = total;
+      },
+      advance: (count = 1) => {
+        job.progress.completed += count;
+      },
+      pushResults: (items) => {
+        job.results.push(...items);
+      },
+      // Replace everything pushed so far, e.g. with the same results re-ordered
+      setResults: (items) => {
+        job.results = [...items];
+      },
+      pushError: (entry) => {
+        job.errors.push(entry);
+      }
+    };
+
+    try {
+      job.result = await handler(task);
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > this.ttl) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Read a JSON file, falling back to a default only when it does not exist.
+// A file that cannot be read or parsed throws, so callers never write an
+// empty default back over data they failed to load.
+async function readJson(filePath, fallback) {
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+// Write JSON to a temp file in the same directory and rename it into place,
+// so readers never see a half-written file
+async function writeJsonAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Chain async writes so they run one at a time and a newer snapshot never
+// lands before an older one. The returned enqueue(task) resolves or rejects
+// with that task's own outcome; a failed task is logged (when label is given)
+// and never blocks the tasks queued after it.
+function createWriteQueue(label = null) {
+  let queue = Promise.resolve();
+
+  return function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(error => {
+      if (label) console.error(`Failed to save ${label}:`, error);
+    });
+    return result;
+  };
+}
+
+module.exports = { readJson, writeJsonAtomic, createWriteQueue };
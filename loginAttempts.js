@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 10 * 60 * 1000; // A two-factor code has to be entered within 10 minutes
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Attempt IDs come back from clients, so only accept the format we generate
+function isValidLoginAttemptId(id) {
+  return typeof id === 'string' && /^[a-f0-9-]{36}$/i.test(id);
+}
+
+// Login attempts waiting for a two-factor code. Each one keeps its own
+// pre-2FA browser state in memory, so concurrent logins (for the same account
+// or different ones) never see each other's state. Nothing is written to disk.
+class LoginAttempts {
+  constructor({ ttl = DEFAULT_TTL } = {}) {
+    this.ttl = ttl;
+    this.attempts = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  create(accountId, storageState) {
+    const now = Date.now();
+    const attempt = {
+      id: crypto.randomUUID(),
+      accountId,
+      storageState,
+      // Set by /login: the username the account is registered under, and the
+      // credentials when they are to be stored, once the code is confirmed
+      username: null,
+      credentials: null,
+      inProgress: false,
+      createdAt: now,
+      expiresAt: now + this.ttl
+    };
+    this.attempts.set(attempt.id, attempt);
+    this.start();
+    return attempt;
+  }
+
+  get(id) {
+    const attempt = this.attempts.get(id);
+    if (!attempt) return null;
+
+    if (attempt.expiresAt <= Date.now()) {
+      this.attempts.delete(id);
+      return null;
+    }
+    return attempt;
+  }
+
+  delete(id) {
+    this.attempts.delete(id);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, attempt] of this.attempts) {
+      if (attempt.expiresAt <= now) this.attempts.delete(id);
+    }
+    if (this.attempts.size === 0) this.stop();
+  }
+}
+
+module.exports = { LoginAttempts, isValidLoginAttemptId };
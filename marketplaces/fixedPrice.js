@@ -0,0 +1,172 @@
+const { parsePrice } = require('../priceParser');
+
+// Buyee proxies several fixed-price flea markets (Mercari, Rakuma, PayPay
+// Flea Market) with the same page layout, so they share one implementation
+// that only differs in the URL prefix and query parameter names.
+
+// Runs in the page for each search result card. The card may be the link itself.
+function parseCard(itemEl) {
+  const linkElement = itemEl.matches('a[href*="/item/"]')
+    ? itemEl
+    : itemEl.querySelector('a[href*="/item/"]');
+
+  let url = linkElement ? linkElement.getAttribute('href') : null;
+  if (!url) return null;
+
+  url = url.startsWith('http') ? url : `https://buyee.jp${url}`;
+
+  const titleElement = itemEl.querySelector('[class*="name"], [class*="title"]') || linkElement;
+  const title = titleElement && titleElement.textContent.trim()
+    ? titleElement.textContent.trim()
+    : 'No Title';
+
+  const imgElement = itemEl.querySelector('img');
+  const imgSrc = imgElement
+    ? (imgElement.getAttribute('data-src') || imgElement.getAttribute('src'))
+    : null;
+
+  const priceElement = itemEl.querySelector('[class*="price"]');
+  const price = priceElement ? priceElement.textContent.trim() : 'Price Not Available';
+
+  return {
+    title,
+    price,
+    url,
+    // Fixed-price listings do not end on a schedule
+    time_remaining: null,
+    images: imgSrc ? [imgSrc.split('?')[0]] : []
+  };
+}
+
+// Runs in the page on an item's detail page
+function extractDetail() {
+  const text = (el) => (el && el.textContent ? el.textContent.trim() : null);
+
+  const title = text(document.querySelector('h1')) ||
+    text(document.querySelector('[class*="itemName"], [class*="item-name"]')) ||
+    document.title ||
+    'No Title';
+
+  const price = text(document.querySelector('[class*="itemPrice"], [class*="item-price"], [class*="price"]')) ||
+    'Price Not Available';
+
+  const images = [];
+  document.querySelectorAll('[class*="slide"] img, [class*="gallery"] img, [class*="itemImage"] img').forEach(element => {
+    const imgSrc = element.getAttribute('data-src') || element.getAttribute('src');
+    if (imgSrc) {
+      const cleanUrl = imgSrc.split('?')[0];
+      if (!images.includes(cleanUrl)) {
+        images.push(cleanUrl);
+      }
+    }
+  });
+
+  return {
+    title,
+    price,
+    time_remaining: null,
+    url: window.location.href,
+    images
+  };
+}
+
+// Buy a fixed-price listing. The amount must match the listing price, so a
+// stale price on the client never turns into an unexpected purchase.
+async function purchase(page, { productUrl, amount }) {
+  await page.goto(productUrl, {
+    waitUntil: 'networkidle',
+    timeout: 60000
+  });
+
+  const listing = await page.evaluate(extractDetail);
+  const { priceYen } = parsePrice(listing.price);
+  if (priceYen === null) {
+    throw new Error('Could not read the listing price');
+  }
+  if (priceYen !== Number(amount)) {
+    throw new Error(`Listing price is ${priceYen} yen; the purchase amount must match it`);
+  }
+
+  const purchaseSelectors = [
+    'a[href*="/purchase"]',
+    'button[class*="purchase"]',
+    'a[class*="purchase"]'
+  ];
+
+  const clickFirst = async (selectors) => {
+    for (const selector of selectors) {
+      const element = await page.$(selector);
+      if (element) {
+        await Promise.all([
+          page.waitForNavigation({ waitUntil: 'networkidle', timeout: 30000 }),
+          element.click()
+        ]);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  if (!await clickFirst(purchaseSelectors)) {
+    throw new Error('Purchase button not found');
+  }
+
+  // Confirmation page
+  if (!await clickFirst(['#purchase_submit'])) {
+    throw new Error('Purchase confirmation button not found');
+  }
+
+  const currentUrl = page.url();
+  console.log('Current URL after purchase:', currentUrl);
+
+  if (!currentUrl.includes('/complete')) {
+    throw new Error('Navigation to completion page failed');
+  }
+
+  return { plan: null };
+}
+
+// pathSegment: Buyee's URL prefix for the market, e.g. "mercari"
+function createFixedPriceMarketplace({ id, name, pathSegment, params = {} }) {
+  const { keyword = 'keyword', minPrice = 'price_min', maxPrice = 'price_max', sortOrders = {} } = params;
+
+  return {
+    id,
+    name,
+    isAuction: false,
+
+    matchesUrl: url => new RegExp(`buyee\\.jp/${pathSegment}/`, 'i').test(url),
+
+    extractItemId(url) {
+      const itemIdMatch = url.match(new RegExp(`/${pathSegment}/item/([a-z0-9_-]+)`, 'i'));
+      return itemIdMatch ? itemIdMatch[1] : null;
+    },
+
+    filters: {
+      sort: (value, query) => query.params.push(...sortOrders[value])
+    },
+    sortOrders: Object.keys(sortOrders),
+
+    buildSearchUrl(baseUrl, { term, minYen, maxYen, page, filterQuery }) {
+      const searchParams = [`${keyword}=${encodeURIComponent(term)}`, ...filterQuery.params];
+      if (minYen !== null) searchParams.push(`${minPrice}=${minYen}`);
+      if (maxYen !== null) searchParams.push(`${maxPrice}=${maxYen}`);
+      searchParams.push('translationType=98');
+      searchParams.push(`page=${page}`);
+
+      return `${baseUrl}/${pathSegment}/search?${searchParams.join('&')}`;
+    },
+
+    // These result pages do not report a total; paging stops on an empty page
+    totalSelector: null,
+    totalPattern: null,
+    noResultsSelector: '.search-no-hits, [class*="noResult"], [class*="no-result"]',
+    cardSelectors: ['.itemCard', 'li[class*="item"]', `a[href*="/${pathSegment}/item/"]`],
+
+    parseCard,
+    extractDetail,
+    purchase
+  };
+}
+
+module.exports = { createFixedPriceMarketplace };
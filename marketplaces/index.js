@@ -0,0 +1,50 @@
+const yahoo = require('./yahoo');
+const { createFixedPriceMarketplace } = require('./fixedPrice');
+
+const NEWEST_FIRST = ['sort=created_time', 'order=desc'];
+const PRICE_ASC = ['sort=price', 'order=asc'];
+const PRICE_DESC = ['sort=price', 'order=desc'];
+
+const fixedPriceSortOrders = {
+  newest: NEWEST_FIRST,
+  priceAsc: PRICE_ASC,
+  priceDesc: PRICE_DESC
+};
+
+const MARKETPLACES = {
+  yahoo,
+  mercari: createFixedPriceMarketplace({
+    id: 'mercari',
+    name: 'Mercari',
+    pathSegment: 'mercari',
+    params: { sortOrders: fixedPriceSortOrders }
+  }),
+  rakuma: createFixedPriceMarketplace({
+    id: 'rakuma',
+    name: 'Rakuma',
+    pathSegment: 'rakuma',
+    params: { sortOrders: fixedPriceSortOrders }
+  }),
+  paypay: createFixedPriceMarketplace({
+    id: 'paypay',
+    name: 'PayPay Flea Market',
+    pathSegment: 'paypayfleamarket',
+    params: { sortOrders: fixedPriceSortOrders }
+  })
+};
+
+const DEFAULT_MARKETPLACE = 'yahoo';
+const MARKETPLACE_IDS = Object.keys(MARKETPLACES);
+
+function getMarketplace(id = DEFAULT_MARKETPLACE) {
+  return MARKETPLACES[id] || null;
+}
+
+// Work out which marketplace an item URL belongs to; unknown URLs are Yahoo
+// auctions, which is all this service handled originally
+function marketplaceForUrl(url) {
+  return Object.values(MARKETPLACES).find(marketplace => marketplace.matchesUrl(url)) ||
+    MARKETPLACES[DEFAULT_MARKETPLACE];
+}
+
+module.exports = { MARKETPLACES, MARKETPLACE_IDS, DEFAULT_MARKETPLACE, getMarketplace, marketplaceForUrl };
@@ -0,0 +1,522 @@
+// Yahoo! Auctions through Buyee: the original and default marketplace
+const { parsePrice, normalizePriceBound } = require('../priceParser');
+const { extractItemInfo, parseItemInfo } = require('../itemDetails');
+
+const SORT_ORDERS = {
+  endingSoonest: { sort: 'end', order: 'a' },
+  newest: { sort: 'new', order: 'd' },
+  priceAsc: { sort: 'cbids', order: 'a' },
+  priceDesc: { sort: 'cbids', order: 'd' },
+  mostBids: { sort: 'bids', order: 'd' }
+};
+
+const CONDITIONS = { new: '1', used: '2' };
+const SELLER_TYPES = { store: '1', individual: '2' };
+
+// Yahoo! Auctions' bid increments: [current price below, increment]
+const BID_INCREMENTS = [
+  [1000, 10],
+  [5000, 100],
+  [10000, 250],
+  [50000, 500],
+  [Infinity, 1000]
+];
+
+const DEFAULT_PLAN_ID = '99';
+
+function isEnabled(value) {
+  return value === true || value === 'true' || value === 1 || value === '1';
+}
+
+// Runs in the page for each search result card
+function parseCard(itemEl) {
+  const titleElement = itemEl.querySelector(".itemCard__itemName a") || 
+                    itemEl.querySelector("a[data-testid='item-name']");
+  const title = titleElement ? titleElement.textContent.trim() : "No Title";
+  
+  let url = titleElement ? titleElement.getAttribute("href") : null;
+  if (!url) return null;
+  
+  url = url.startsWith("http") ? url : `https://buyee.jp${url}`;
+
+  const imgElement = itemEl.querySelector(".g-thumbnail__image") || 
+                  itemEl.querySelector("img[data-testid='item-image']");
+  const imgSrc = imgElement 
+    ? (imgElement.getAttribute("data-src") || 
+      imgElement.getAttribute("src") || 
+      imgElement.src)
+    : null;
+
+  const priceElement = itemEl.querySelector(".g-price") ||
+                    itemEl.querySelector("[data-testid='item-price']");
+  const price = priceElement ? priceElement.textContent.trim() : "Price Not Available";
+
+  const timeElements = [
+    itemEl.querySelector('.itemCard__time'),
+    itemEl.querySelector('.g-text--attention'),
+    itemEl.querySelector('.timeLeft'),
+    itemEl.querySelector('[data-testid="time-remaining"]')
+  ];
+
+  const timeRemaining = timeElements.find(el => el && el.textContent)
+    ?.textContent.trim() || 'Time Not Available';
+
+  return {
+    title,
+    price,
+    url,
+    time_remaining: timeRemaining,
+    images: imgSrc ? [imgSrc.split("?")[0]] : [],
+  };
+}
+
+// Runs in the page on an item's detail page
+function extractDetail() {
+  // Title extraction
+  let title = 'No Title';
+  const titleElements = [
+    document.querySelector('h1'),
+    document.querySelector('.itemName'),
+    document.querySelector('.itemInfo__name'),
+    document.title
+  ];
+  for (const titleEl of titleElements) {
+    if (titleEl && titleEl.textContent) {
+      title = titleEl.textContent.trim();
+      break;
+    }
+  }
+
+  // Price extraction
+  let price = 'Price Not Available';
+  const priceElements = [
+    document.querySelector('.current_price .price'),
+    document.querySelector('.price'),
+    document.querySelector('.itemPrice')
+  ];
+  for (const priceEl of priceElements) {
+    if (priceEl && priceEl.textContent) {
+      price = priceEl.textContent.trim();
+      break;
+    }
+  }
+
+  // Time remaining extraction
+  let time_remaining = 'Time Not Available';
+  const timeElements = [
+    document.querySelector('.itemInformation__infoItem .g-text--attention'),
+    document.querySelector('.itemInfo__time span'),
+    document.querySelector('.timeLeft')
+  ];
+  for (const timeEl of timeElements) {
+    if (timeEl && timeEl.textContent) {
+      time_remaining = timeEl.textContent.trim();
+      break;
+    }
+  }
+
+  // Image extraction
+  const images = [];
+  const imageSelectors = [
+    '.flexslider .slides img',
+    '.itemImg img',
+    '.mainImage img',
+    '.g-thumbnail__image',
+    'ol.flex-control-nav li img'
+  ];
+  
+  for (const selector of imageSelectors) {
+    const elements = document.querySelectorAll(selector);
+    elements.forEach(element => {
+      const imgSrc = element.src || element.getAttribute('data-src');
+      if (imgSrc) {
+        // Clean up URL by removing query parameters
+        const cleanUrl = imgSrc.split('?')[0];
+        if (!images.includes(cleanUrl)) {
+          images.push(cleanUrl);
+        }
+      }
+    });
+    if (images.length > 0) break;
+  }
+
+  return {
+    title,
+    price,
+    time_remaining,
+    url: window.location.href,
+    images: images.length > 0 ? images : []
+  };
+}
+
+// Runs in the page on the bid form: the plans in #bidYahoo_plan and every
+// other choice the form offers (selects, checkboxes and radio groups)
+function extractBidOptions() {
+  const priceInput = document.querySelector('input[name="bidYahoo[price]"], #bidYahoo_price');
+  const form = (priceInput && priceInput.closest('form')) || document;
+  const planSelect = document.querySelector('#bidYahoo_plan');
+
+  const labelOf = (el) => {
+    const explicit = el.id ? document.querySelector(`label[for="${el.id}"]`) : null;
+    const wrapping = el.closest('label');
+    const text = (explicit || wrapping || {}).textContent;
+    return text ? text.trim().replace(/\s+/g, ' ') : el.name;
+  };
+
+  const plans = planSelect
+    ? Array.from(planSelect.options)
+      .filter(option => option.value)
+      .map(option => ({
+        id: option.value,
+        label: option.textContent.trim(),
+        selected: option.selected
+      }))
+    : [];
+
+  const options = [];
+  const radioGroups = {};
+  form.querySelectorAll('select, input[type="checkbox"], input[type="radio"]').forEach(el => {
+    // The plan and the amount have their own parameters
+    if (!el.name || el === planSelect || el === priceInput || el.disabled) return;
+
+    if (el.tagName === 'SELECT') {
+      options.push({
+        name: el.name,
+        type: 'select',
+        label: labelOf(el),
+        values: Array.from(el.options).map(option => ({ value: option.value, label: option.textContent.trim() })),
+        defaultValue: el.value
+      });
+    } else if (el.type === 'checkbox') {
+      options.push({ name: el.name, type: 'checkbox', label: labelOf(el), defaultValue: el.checked });
+    } else {
+      if (!radioGroups[el.name]) {
+        radioGroups[el.name] = { name: el.name, type: 'radio', label: el.name, values: [], defaultValue: null };
+        options.push(radioGroups[el.name]);
+      }
+      radioGroups[el.name].values.push({ value: el.value, label: labelOf(el) });
+      if (el.checked) radioGroups[el.name].defaultValue = el.value;
+    }
+  });
+
+  return { plans, options };
+}
+
+// Runs in the page: apply a validated plan and option choices to the bid form
+function applyBidOptions({ planId, options }) {
+  const fire = (el) => el.dispatchEvent(new Event('change', { bubbles: true }));
+
+  const planSelect = document.querySelector('#bidYahoo_plan');
+  if (planSelect && planId) {
+    planSelect.value = planId;
+    fire(planSelect);
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    const fields = Array.from(document.getElementsByName(name));
+    for (const field of fields) {
+      if (field.type === 'checkbox') {
+        field.checked = value;
+      } else if (field.type === 'radio') {
+        field.checked = field.value === value;
+      } else {
+        field.value = value;
+      }
+      fire(field);
+    }
+  }
+}
+
+function isTruthyOption(value) {
+  return value === true || value === 'true' || value === 1 || value === '1';
+}
+
+// Check the requested plan and options against what the bid form offers.
+// Returns the options normalized for applyBidOptions; throws on bad choices.
+function resolveBidOptions(available, { planId = DEFAULT_PLAN_ID, options = {} } = {}) {
+  const errors = [];
+
+  if (available.plans.length > 0 && !available.plans.some(plan => plan.id === String(planId))) {
+    errors.push(`Invalid plan "${planId}". Available plans: ${available.plans.map(plan => `${plan.id} (${plan.label})`).join(', ')}`);
+  }
+
+  const resolved = {};
+  for (const [name, value] of Object.entries(options || {})) {
+    const field = available.options.find(option => option.name === name);
+    if (!field) {
+      errors.push(`Unknown bid option "${name}"`);
+    } else if (field.type === 'checkbox') {
+      resolved[name] = isTruthyOption(value);
+    } else if (!field.values.some(choice => choice.value === String(value))) {
+      errors.push(`Invalid value "${value}" for bid option "${name}". Expected one of: ${field.values.map(choice => choice.value).join(', ')}`);
+    } else {
+      resolved[name] = String(value);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(errors.join('; '));
+    error.code = 'INVALID_BID_OPTIONS';
+    throw error;
+  }
+
+  return { planId: String(planId), options: resolved };
+}
+
+// Plans and options on an auction's bid page
+async function getBidOptions(page, { itemId: auctionId }) {
+  await page.goto(`https://buyee.jp/bid/${auctionId}`, {
+    waitUntil: 'domcontentloaded',
+    timeout: 60000
+  });
+
+  if (page.url().includes('/signup/login')) {
+    throw new Error('Not logged in; log in again before loading bid options');
+  }
+
+  return page.evaluate(extractBidOptions);
+}
+
+// The lowest bid Yahoo accepts next: the current price while nobody has bid,
+// otherwise the current price plus one increment
+function minimumNextBid(currentPriceYen, bidCount) {
+  if (currentPriceYen === null || currentPriceYen === undefined) return null;
+  if (!bidCount) return currentPriceYen;
+
+  const [, increment] = BID_INCREMENTS.find(([below]) => currentPriceYen < below);
+  return currentPriceYen + increment;
+}
+
+// Ask Buyee what a bid would cost in total. Runs the request from the page so
+// it carries the session cookies; resolves to the parsed JSON body.
+async function fetchTotalAmount(page, { auctionId, bidAmount, planId = DEFAULT_PLAN_ID }) {
+  const result = await page.evaluate(async (params) => {
+    const query = new URLSearchParams({
+      price: String(params.bidAmount),
+      quantity: '1',
+      planId: String(params.planId),
+      auctionId: params.auctionId
+    });
+    const response = await fetch(`/api/v1/auction/total_amount?${query}`, {
+      method: 'GET',
+      credentials: 'include',
+      headers: { 'accept': 'application/json' }
+    });
+    const text = await response.text();
+    return { status: response.status, text };
+  }, { bidAmount, auctionId, planId });
+
+  if (result.status !== 200) {
+    throw new Error(`Total amount request failed with status ${result.status}`);
+  }
+
+  try {
+    return JSON.parse(result.text);
+  } catch (parseError) {
+    // Buyee answers with its login page when the session has expired
+    throw new Error('Total amount response was not JSON; the login session may have expired');
+  }
+}
+
+// Find the first of several possible keys anywhere in the response and read
+// it as yen. Buyee nests the amounts under "data" in some responses.
+function pickYen(data, keys) {
+  const queue = [data];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object') continue;
+
+    for (const key of keys) {
+      if (current[key] !== undefined && current[key] !== null) {
+        return normalizePriceBound(current[key]);
+      }
+    }
+    queue.push(...Object.values(current).filter(value => value && typeof value === 'object'));
+  }
+  return null;
+}
+
+// Map Buyee's total_amount response onto a stable breakdown. The raw body is
+// kept so nothing is lost if Buyee renames a field.
+function parseTotalAmount(data, bidAmount) {
+  return {
+    itemPriceYen: pickYen(data, ['price', 'itemPrice', 'bidPrice']) ?? Number(bidAmount),
+    serviceFeeYen: pickYen(data, ['serviceFee', 'service_fee', 'commission', 'buyeeFee']),
+    planFeeYen: pickYen(data, ['planFee', 'plan_fee', 'planPrice', 'optionFee']),
+    taxYen: pickYen(data, ['tax', 'consumptionTax', 'consumption_tax', 'taxAmount']),
+    totalYen: pickYen(data, ['totalAmount', 'total_amount', 'total', 'totalPrice']),
+    raw: data
+  };
+}
+
+// Cost breakdown for a bid without submitting it
+async function previewBid(page, { productUrl, itemId: auctionId, amount: bidAmount, planId = DEFAULT_PLAN_ID }) {
+  await page.goto(productUrl, {
+    waitUntil: 'domcontentloaded',
+    timeout: 60000
+  });
+
+  const listing = await page.evaluate(extractDetail);
+  const itemInfo = await page.evaluate(extractItemInfo);
+  const { priceYen: currentPriceYen } = parsePrice(listing.price);
+  const { bidCount } = parseItemInfo(itemInfo, auctionId);
+
+  const bidUrl = `https://buyee.jp/bid/${auctionId}`;
+  await page.goto(bidUrl, {
+    waitUntil: 'domcontentloaded',
+    timeout: 60000
+  });
+
+  if (page.url().includes('/signup/login')) {
+    throw new Error('Not logged in; log in again before previewing bids');
+  }
+
+  const choices = resolveBidOptions(await page.evaluate(extractBidOptions), { planId });
+  const breakdown = parseTotalAmount(
+    await fetchTotalAmount(page, { auctionId, bidAmount, planId: choices.planId }),
+    bidAmount
+  );
+
+  // Prefer the limit the bid form itself enforces, when it has one
+  const formMinimum = await page.evaluate(() => {
+    const input = document.querySelector('input[name="bidYahoo[price]"], #bidYahoo_price');
+    return input ? (input.getAttribute('min') || input.getAttribute('data-min')) : null;
+  });
+  const minimumBidYen = normalizePriceBound(formMinimum) ?? minimumNextBid(currentPriceYen, bidCount);
+
+  return {
+    planId: choices.planId,
+    currentPriceYen,
+    bidCount,
+    minimumBidYen,
+    meetsMinimum: minimumBidYen === null ? null : Number(bidAmount) >= minimumBidYen,
+    ...breakdown
+  };
+}
+
+// Bid through Buyee's Yahoo bid form. Throws when the completion page is not reached.
+// planId and options are checked against the live form before anything is submitted.
+async function purchase(page, { productUrl, itemId: auctionId, amount: bidAmount, planId, options }) {
+  // Preliminary API calls mimicking browser behavior
+  await page.goto(productUrl, { 
+    waitUntil: 'networkidle',
+    timeout: 60000 
+  });
+
+  // Perform cookie sync and other preparatory API calls
+  await page.evaluate(() => {
+    // Simulate browser-like API calls
+    return Promise.all([
+      fetch('/api/v1/cookie/get', { credentials: 'include' }),
+      fetch('/api/v1/watch_list/find', { credentials: 'include' })
+    ]);
+  });
+
+  // Navigate to bid page
+  const bidUrl = `https://buyee.jp/bid/${auctionId}`;
+  await page.goto(bidUrl, { 
+    waitUntil: 'networkidle',
+    timeout: 60000 
+  });
+
+  // Reject plans and options the form does not offer before touching it
+  const choices = resolveBidOptions(await page.evaluate(extractBidOptions), { planId, options });
+
+  // Verify total amount API call; the bid form works without its answer
+  await fetchTotalAmount(page, { auctionId, bidAmount, planId: choices.planId })
+    .catch(error => console.warn('Total amount check failed:', error.message));
+
+  // Fill bid amount and select plan
+  await page.fill('input[name="bidYahoo[price]"], #bidYahoo_price', bidAmount.toString());
+  await page.evaluate(applyBidOptions, choices);
+
+  // Find and click submit button
+  const submitSelectors = [
+    '#bid_submit', 
+    'button[type="submit"]', 
+    'input[type="submit"]'
+  ];
+
+  let submitButton = null;
+  for (const selector of submitSelectors) {
+    try {
+      submitButton = await page.$(selector);
+      if (submitButton) {
+        await submitButton.click();
+        break;
+      }
+    } catch {}
+  }
+
+  // Wait for navigation with longer timeout
+  await page.waitForNavigation({ 
+    waitUntil: 'networkidle0',
+    timeout: 30000 
+  });
+
+  // Verify completion page
+  const currentUrl = page.url();
+  console.log('Current URL after submission:', currentUrl);
+
+  if (!currentUrl.includes('/bid/complete/') && !currentUrl.includes('/complete/')) {
+    throw new Error('Navigation to completion page failed');
+  }
+
+  return { plan: choices.planId, options: choices.options };
+}
+
+module.exports = {
+  id: 'yahoo',
+  name: 'Yahoo! Auctions',
+  isAuction: true,
+
+  matchesUrl: url => /\/item\/yahoo\/|\/yahoo\/auction\//i.test(url),
+
+  extractItemId(url) {
+    const auctionIdMatch = url.match(/auction\/([a-z0-9]+)/i) || url.match(/\/([a-z0-9]+)\?/i);
+    return auctionIdMatch ? auctionIdMatch[1] : null;
+  },
+
+  // Buyee-side search filters; see searchFilters.js for validation
+  filters: {
+    // Categories are a path segment rather than a query parameter
+    category: (value, query) => query.pathSegments.push('category', String(value)),
+    condition: (value, query) => query.params.push(`istatus=${CONDITIONS[value]}`),
+    buyNowOnly: (value, query) => isEnabled(value) && query.params.push('fixed=1'),
+    freeShipping: (value, query) => isEnabled(value) && query.params.push('pstagefree=1'),
+    sellerType: (value, query) => query.params.push(`store=${SELLER_TYPES[value]}`),
+    sort: (value, query) => {
+      const { sort, order } = SORT_ORDERS[value];
+      query.params.push(`sort=${sort}`, `order=${order}`);
+    }
+  },
+  sortOrders: Object.keys(SORT_ORDERS),
+
+  buildSearchUrl(baseUrl, { term, minYen, maxYen, page, filterQuery }) {
+    let searchUrl = `${baseUrl}/item/search/query/${encodeURIComponent(term)}`;
+    if (filterQuery.pathSegments.length > 0) {
+      searchUrl += `/${filterQuery.pathSegments.map(encodeURIComponent).join("/")}`;
+    }
+
+    const params = [...filterQuery.params];
+    if (minYen !== null) params.push(`aucminprice=${minYen}`);
+    if (maxYen !== null) params.push(`aucmaxprice=${maxYen}`);
+    params.push("translationType=98");
+    params.push(`page=${page}`);
+
+    return `${searchUrl}?${params.join("&")}`;
+  },
+
+  // "1-20 / 1234" on the first results page
+  totalSelector: '.result-num',
+  totalPattern: /\/\s*(\d+)/,
+  noResultsSelector: '.search-no-hits',
+  cardSelectors: ['.itemCard', '.g-thumbnail', '.itemCard__itemName'],
+
+  parseCard,
+  extractDetail,
+  purchase,
+  previewBid,
+  getBidOptions,
+  minimumNextBid
+};
@@ -0,0 +1,56 @@
+// Buyee's "My Page" auction lists, read with the logged-in session
+const MY_PAGE_URLS = {
+  bidding: 'https://buyee.jp/myauction/bid',
+  won: 'https://buyee.jp/myauction/won'
+};
+
+// Runs in the page: one entry per auction listed on a My Page list. Kept
+// self-contained so it can be passed straight to page.evaluate().
+function extractMyPageItems() {
+  const text = (el) => (el && el.textContent ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+
+  const rows = document.querySelectorAll(
+    '.myauction__item, .myauctionList__item, .bidList__item, .itemCard, table.myauction tr, li[class*="item"]'
+  );
+
+  const items = [];
+  const seen = new Set();
+  rows.forEach(row => {
+    const link = row.querySelector('a[href*="/auction/"]');
+    if (!link) return;
+
+    const href = link.getAttribute('href');
+    const url = href.startsWith('http') ? href : `https://buyee.jp${href}`;
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    const statusEl = row.querySelector(
+      '.myauction__status, .bidStatus, .g-text--attention, [class*="status"], [class*="highest"], [class*="outbid"]'
+    );
+    const priceEl = row.querySelector('.g-price, [class*="price"]');
+
+    items.push({
+      url,
+      title: text(link),
+      statusText: statusEl ? text(statusEl) : null,
+      // Some layouts only say it in the row's text, e.g. "You are the highest bidder"
+      rowText: text(row),
+      price: priceEl ? text(priceEl) : null
+    });
+  });
+
+  return items;
+}
+
+const HIGHEST_PATTERN = /highest\s*bidder|you\s*are\s*(?:currently\s*)?winning|最高額入札者|最高入札者/i;
+const OUTBID_PATTERN = /outbid|been\s*outbid|surpassed|他の入札者|高値更新/i;
+
+// "highest", "outbid" or null when the row does not say
+function classifyBidding(item) {
+  const text = [item.statusText, item.rowText].filter(Boolean).join(' ');
+  if (OUTBID_PATTERN.test(text)) return 'outbid';
+  if (HIGHEST_PATTERN.test(text)) return 'highest';
+  return null;
+}
+
+module.exports = { MY_PAGE_URLS, extractMyPageItems, classifyBidding };
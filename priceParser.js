@@ -0,0 +1,98 @@
+// Buyee shows prices as text such as "1,200 YEN (approx. 8 EUR)",
+// "¥1,200", "1,200円" or "Price Not Available"
+const YEN_PATTERNS = [
+  /([\d,]+)\s*(?:yen|円)/i,
+  /[¥￥]\s*([\d,]+)/,
+  /^\s*([\d,]+)\s*$/
+];
+
+const APPROX_PATTERN = /(?:approx\.?|approximately|約)\s*([^)]*)/i;
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD',
+  'A$': 'AUD',
+  'C$': 'CAD',
+  'HK$': 'HKD',
+  'NT$': 'TWD',
+  'S$': 'SGD',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₩': 'KRW'
+};
+
+function toNumber(text) {
+  return Number(text.replace(/,/g, ''));
+}
+
+// Parse the site-provided converted amount, e.g. "8 EUR", "US$ 8.05" or "€8"
+function parseApprox(text) {
+  const approxMatch = text.match(APPROX_PATTERN);
+  if (!approxMatch) return null;
+
+  const approxText = approxMatch[1];
+  const amountMatch = approxText.match(/\d[\d,]*(?:\.\d+)?/);
+  if (!amountMatch) return null;
+
+  let currency = null;
+  const codeMatch = approxText.match(/\b([A-Z]{3})\b/);
+  if (codeMatch) {
+    currency = codeMatch[1];
+  } else {
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => approxText.includes(key));
+    currency = symbol ? CURRENCY_SYMBOLS[symbol] : null;
+  }
+
+  return { amount: toNumber(amountMatch[0]), currency };
+}
+
+// Structured price fields shared by every scraper response. priceRaw always
+// keeps the original text; the parsed fields are null when absent.
+function parsePrice(text) {
+  const priceRaw = typeof text === 'string' ? text.trim() : null;
+  if (!priceRaw) {
+    return { priceYen: null, priceApprox: null, priceRaw };
+  }
+
+  // Ignore the converted part when looking for the yen amount
+  const yenText = priceRaw.split(APPROX_PATTERN)[0].replace(/\(\s*$/, '');
+  let priceYen = null;
+  for (const pattern of YEN_PATTERNS) {
+    const match = yenText.match(pattern);
+    if (match) {
+      priceYen = Math.round(toNumber(match[1]));
+      break;
+    }
+  }
+
+  return {
+    priceYen: Number.isFinite(priceYen) ? priceYen : null,
+    priceApprox: parseApprox(priceRaw),
+    priceRaw
+  };
+}
+
+// Accepts a number or price text ("1,200", "1200 YEN") for min/max filters.
+// Negative amounts are invalid and come back as null, like unparseable text.
+function normalizePriceBound(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  if (String(value).trim().startsWith('-')) return null;
+  return parsePrice(String(value)).priceYen;
+}
+
+// Drop products whose parsed price falls outside the bounds. Products whose
+// price could not be parsed are kept.
+function filterByPrice(products, minPrice, maxPrice) {
+  const min = normalizePriceBound(minPrice);
+  const max = normalizePriceBound(maxPrice);
+
+  return products.filter(product => {
+    if (product.priceYen === null || product.priceYen === undefined) return true;
+    if (min !== null && product.priceYen < min) return false;
+    if (max !== null && product.priceYen > max) return false;
+    return true;
+  });
+}
+
+module.exports = { parsePrice, normalizePriceBound, filterByPrice };
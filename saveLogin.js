@@ -1,17 +1,27 @@
 const { chromium } = require('playwright'); // Import Playwrigh
+const vault = require('./vault');
+const { DEFAULT_ACCOUNT, ensureAccount, markLoggedIn } = require('./accounts');
 
+// Log in by hand in a visible browser and store the session in the vault.
+// Usage: BUYEE_USERNAME=... BUYEE_PASSWORD=... VAULT_KEY=... node saveLogin.js [accountId]
 (async () => {
+    const accountId = process.argv[2] || DEFAULT_ACCOUNT;
+    const { BUYEE_USERNAME: username, BUYEE_PASSWORD: password } = process.env;
 
     const browser = await chromium.launch({ headless: false });
     const context = await browser.newContext();
     const page = await context.newPage();
 
     await page.goto('https://buyee.jp/signup/login');
-    await page.locator('#login_mailAddress').fill("teege@machen-sachen.com");
-    await page.locator('#login_password').fill("!OmaIlse12");
-    await page.getByRole('link', { name: 'Login' }).click();
+    if (username && password) {
+        await page.locator('#login_mailAddress').fill(username);
+        await page.locator('#login_password').fill(password);
+        await page.getByRole('link', { name: 'Login' }).click();
+    }
     await page.pause();
 
-    await context.storageState({ path: "login.json"});
+    await ensureAccount(accountId, { username });
+    await vault.writeSession(accountId, await context.storageState());
+    await markLoggedIn(accountId);
     await browser.close();
 })();
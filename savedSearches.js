@@ -0,0 +1,223 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+const { fetchCombinedPages, createTermStates, productKey } = require('./searchRunner');
+
+const savedSearchFilePath = path.resolve(__dirname, './data/saved-searches.json');
+
+const CHECK_INTERVAL = 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_PAGES_PER_TERM = 2;
+const MAX_NEW_LISTINGS = 500;
+const MAX_RUN_HISTORY = 20;
+// Forget listings that have not shown up for this long
+const SEEN_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// Re-runs saved searches on a schedule and keeps the listings that were not
+// present in any earlier run
+class SavedSearchMonitor {
+  constructor(scraper, jobQueue, filePath = savedSearchFilePath) {
+    this.scraper = scraper;
+    this.jobQueue = jobQueue;
+    this.filePath = filePath;
+    this.searches = [];
+    this.running = new Set();
+    this.timer = null;
+    this.enqueueWrite = createWriteQueue('saved searches');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { savedSearches: [] });
+    this.searches = data.savedSearches || [];
+    console.log(`Loaded ${this.searches.length} saved search(es)`);
+  }
+
+  save() {
+    return this.enqueueWrite(() => writeJsonAtomic(this.filePath, { savedSearches: this.searches }));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runDue(), CHECK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  hasEnabled() {
+    return this.searches.some(search => search.enabled);
+  }
+
+  // Public view without the internal seen-listing index
+  summarize(search) {
+    const { seen, ...summary } = search;
+    return {
+      ...summary,
+      seenCount: Object.keys(seen).length,
+      newListingCount: search.newListings.length,
+      running: this.running.has(search.id)
+    };
+  }
+
+  list() {
+    return this.searches.map(search => this.summarize(search));
+  }
+
+  get(id) {
+    return this.searches.find(search => search.id === id) || null;
+  }
+
+  async create({ name, terms, intervalMinutes = DEFAULT_INTERVAL_MINUTES, pagesPerTerm = DEFAULT_PAGES_PER_TERM }) {
+    const now = new Date().toISOString();
+    const search = {
+      id: crypto.randomUUID(),
+      name: name || terms.map(termSpec => termSpec.term).join(', '),
+      terms,
+      intervalMinutes: Math.max(Number(intervalMinutes), MIN_INTERVAL_MINUTES),
+      pagesPerTerm: Number(pagesPerTerm),
+      enabled: true,
+      seen: {},
+      newListings: [],
+      runs: [],
+      lastRunAt: null,
+      lastError: null,
+      // Run straight away to record the baseline
+      nextRunAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.searches.push(search);
+    await this.save();
+    return search;
+  }
+
+  async update(id, { name, terms, intervalMinutes, pagesPerTerm, enabled }) {
+    const search = this.get(id);
+    if (!search) return null;
+
+    if (name !== undefined) search.name = name;
+    if (terms !== undefined) search.terms = terms;
+    if (pagesPerTerm !== undefined) search.pagesPerTerm = Number(pagesPerTerm);
+    if (enabled !== undefined) search.enabled = Boolean(enabled);
+    if (intervalMinutes !== undefined) {
+      search.intervalMinutes = Math.max(Number(intervalMinutes), MIN_INTERVAL_MINUTES);
+      search.nextRunAt = new Date(
+        new Date(search.lastRunAt || Date.now()).getTime() + search.intervalMinutes * 60 * 1000
+      ).toISOString();
+    }
+    search.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return search;
+  }
+
+  async remove(id) {
+    const index = this.searches.findIndex(search => search.id === id);
+    if (index === -1) return false;
+
+    this.searches.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  // New listings, optionally only those first seen after `since`
+  newListings(id, { since } = {}) {
+    const search = this.get(id);
+    if (!search) return null;
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    return search.newListings.filter(listing =>
+      sinceTime === null || new Date(listing.firstSeenAt).getTime() > sinceTime
+    );
+  }
+
+  runDue() {
+    const now = Date.now();
+    for (const search of this.searches) {
+      if (search.enabled && !this.running.has(search.id) &&
+          new Date(search.nextRunAt).getTime() <= now) {
+        this.enqueue(search);
+      }
+    }
+  }
+
+  // Runs go through the job queue so they never compete with interactive
+  // searches for the browser
+  enqueue(search) {
+    this.running.add(search.id);
+    return this.jobQueue.add('saved-search', { savedSearchId: search.id }, async task => {
+      try {
+        // Deleted while waiting in the queue
+        if (!this.get(search.id)) return null;
+        return await this.run(search, task);
+      } finally {
+        this.running.delete(search.id);
+      }
+    });
+  }
+
+  async run(search, task) {
+    const startedAt = new Date();
+    const maxPages = search.terms.length * search.pagesPerTerm;
+    task.setTotal(maxPages);
+
+    try {
+      const batch = await fetchCombinedPages(this.scraper, search.terms, createTermStates(search.terms), {
+        maxPages,
+        onPage: () => task.advance()
+      });
+
+      // A page that failed would make its listings look new on the next run
+      if (batch.errors.length > 0) {
+        const { term, page, error } = batch.errors[0];
+        throw new Error(`Search for "${term}" failed on page ${page}: ${error}`);
+      }
+
+      // The first successful run only records what is already listed
+      const baseline = search.lastRunAt === null;
+      const now = startedAt.toISOString();
+      const newListings = [];
+
+      for (const product of batch.products) {
+        const key = productKey(product);
+        if (!search.seen[key] && !baseline) {
+          newListings.push({ ...product, firstSeenAt: now });
+        }
+        search.seen[key] = now;
+      }
+
+      // Drop listings that have not been seen for a long time
+      for (const [key, lastSeenAt] of Object.entries(search.seen)) {
+        if (startedAt.getTime() - new Date(lastSeenAt).getTime() > SEEN_RETENTION) {
+          delete search.seen[key];
+        }
+      }
+
+      search.newListings = [...newListings, ...search.newListings].slice(0, MAX_NEW_LISTINGS);
+      search.lastRunAt = now;
+      search.lastError = null;
+      search.runs = [
+        { at: now, found: batch.products.length, newCount: newListings.length, baseline },
+        ...search.runs
+      ].slice(0, MAX_RUN_HISTORY);
+
+      task.pushResults(newListings);
+      console.log(`Saved search "${search.name}": ${batch.products.length} found, ${newListings.length} new`);
+
+      return { found: batch.products.length, newCount: newListings.length, baseline };
+    } catch (error) {
+      search.lastError = error.message;
+      throw error;
+    } finally {
+      search.nextRunAt = new Date(startedAt.getTime() + search.intervalMinutes * 60 * 1000).toISOString();
+      search.updatedAt = new Date().toISOString();
+      await this.save();
+    }
+  }
+}
+
+module.exports = SavedSearchMonitor;
@@ -1,56 +1,93 @@
-const { chromium } = require("playwright-core");
 const logger = require("pino")();
-const fs = require("fs");
-const path = require("path");
-const bidFilePath = path.resolve(__dirname, "../bids.json");
+const { parsePrice, normalizePriceBound, filterByPrice } = require("./priceParser");
+const { resolveEndTime } = require("./timeParser");
+const { extractItemInfo, parseItemInfo } = require("./itemDetails");
+const { buildFilterQuery, applyLocalFilters } = require("./searchFilters");
+const { getMarketplace, marketplaceForUrl } = require("./marketplaces");
+const { MY_PAGE_URLS, extractMyPageItems, classifyBidding } = require("./myPage");
+const { DEFAULT_ACCOUNT } = require("./accounts");
+const vault = require("./vault");
+const { LoginAttempts } = require("./loginAttempts");
+const BrowserPool = require("./browserPool");
+const HostRateLimiter = require("./hostRateLimiter");
+const { fetchDocument, runExtractor, resolveImageUrls } = require("./httpFetcher");
+
+// Runs in the page: find the closing-time row of an item page's info table.
+// Kept self-contained so it can be passed straight to page.evaluate().
+function extractEndDateText() {
+  const labelPattern = /closing|end(?:ing)?\s*(?:time|date)|終了/i;
+  const rows = document.querySelectorAll('.itemInformation__infoItem, .itemInfo__row, .itemDetail__list li');
+
+  for (const row of rows) {
+    const labelEl = row.querySelector('.g-title, dt, th');
+    if (!labelEl || !labelPattern.test(labelEl.textContent)) continue;
+
+    const value = row.textContent.replace(labelEl.textContent, '').trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+// Every page is opened through the browser pool, so a single scraper (and
+// its pool) can be shared by all requests and background jobs
+// How pages are loaded: "http" fetches the server-rendered HTML and parses it
+// without a browser, "browser" uses a pooled Playwright page, and "auto" tries
+// HTTP first and falls back to the browser. Both read pages with the same
+// in-page extractor functions.
+const FETCH_MODES = ["auto", "http", "browser"];
+
+// Milliseconds left of a { deadline, timeout } budget; throws once it is spent
+function timeLeft(budget) {
+  const left = budget.deadline - Date.now();
+  if (left <= 0) throw new Error(`Timed out after ${Math.round(budget.timeout / 1000)}s`);
+  return left;
+}
+
+// A detail result from extractDetail() output plus the raw end date and item
+// info, however the page was loaded. The requested URL, not the one after
+// redirects, is kept so callers can match results up.
+function buildDetail(productUrl, marketplace, productDetails, { endDateText, itemInfo }) {
+  return {
+    ...productDetails,
+    url: productUrl,
+    source: marketplace.id,
+    ...parsePrice(productDetails.price),
+    ...resolveEndTime(productDetails.time_remaining, endDateText),
+    ...parseItemInfo(itemInfo, marketplace.extractItemId(productUrl))
+  };
+}
 
 class BuyeeScraper {
-  constructor() {
+  constructor({ pool = new BrowserPool(), hostInterval = 1000, fetchMode = "auto" } = {}) {
+    if (!FETCH_MODES.includes(fetchMode)) {
+      throw new Error(`Unknown fetch mode "${fetchMode}". Expected one of: ${FETCH_MODES.join(", ")}`);
+    }
     this.baseUrl = "https://buyee.jp";
-    this.browser = null;
-    this.lastBrowserReset = Date.now();
+    this.pool = pool;
+    this.fetchMode = fetchMode;
+    this.hostLimiter = new HostRateLimiter({ minInterval: hostInterval });
+    this.loginAttempts = new LoginAttempts();
   }
 
-  // Single, merged setupBrowser function that handles both memory and authentication
-  async setupBrowser() {
-    try {
-      // Memory management: Reset browser every hour
-      if (this.browser && Date.now() - this.lastBrowserReset > 60 * 60 * 1000) {
-        console.log('Resetting browser due to age');
-        await this.browser.close();
-        this.browser = null;
-      }
+  static FETCH_MODES = FETCH_MODES;
 
-      // Create new browser if needed
-      if (!this.browser || !this.browser.isConnected()) {
-        this.browser = await chromium.launch({
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-web-security',
-            '--disable-features=IsolateOrigins,site-per-process',
-            // Memory optimization flags
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--single-process',
-            // Heroku-specific flags
-            '--no-zygote',
-            '--js-flags="--max-old-space-size=460"'
-          ]
-        });
-        this.lastBrowserReset = Date.now();
-      }
-      
-      // Load stored login state
+  // Pull the auction (or listing) ID out of a Buyee product URL
+  static extractAuctionId(productUrl) {
+    return marketplaceForUrl(productUrl).extractItemId(productUrl);
+  }
+
+  // A pooled browser context loaded with accountId's stored session.
+  // Closing the context gives its slot back to the pool; priority skips the
+  // pool's queue, for work a bid is waiting on.
+  async setupBrowser(accountId = DEFAULT_ACCOUNT, { priority = false, queueTimeout } = {}) {
+    try {
+      // Load stored login state from the vault
       let loginState;
       try {
-        if (fs.existsSync('temp_login.json')) {
-          console.log('Using temporary login state');
-          loginState = JSON.parse(fs.readFileSync('temp_login.json', 'utf8'));
-        } else if (fs.existsSync('login.json')) {
-          console.log('Using full login state');
-          loginState = JSON.parse(fs.readFileSync('login.json', 'utf8'));
+        const fullState = await vault.readSession(accountId);
+        if (fullState) {
+          console.log(`Using full login state for account ${accountId}`);
+          loginState = fullState;
         } else {
           console.log('No login state found, creating fresh context');
           loginState = { cookies: [] };
@@ -61,7 +98,7 @@ class BuyeeScraper {
       }
 
       // Create context with comprehensive settings
-      const context = await this.browser.newContext({
+      const context = await this.pool.acquire({
         viewport: { width: 1280, height: 720 },
         userAgent: loginState.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         locale: 'en-US',
@@ -75,7 +112,7 @@ class BuyeeScraper {
           'sec-ch-ua-mobile': '?0',
           'sec-ch-ua-platform': '"Linux"'
         }
-      });
+      }, { priority, queueTimeout });
       
       // Add cookies with complete properties
       if (loginState.cookies && loginState.cookies.length > 0) {
@@ -89,12 +126,12 @@ class BuyeeScraper {
         await context.addCookies(cookiesToAdd);
       }
       
-      // Log the setup for debugging
+      // Log the setup for debugging; names only, the values are session secrets
       const cookies = await context.cookies();
       console.log('Browser context created with cookies:', 
-        cookies.map(c => `${c.name}=${c.value}`).join('; '));
+        cookies.map(c => c.name).join(', '));
       
-      return { browser: this.browser, context };
+      return { context };
     } catch (error) {
       console.error('Browser setup failed:', error);
       throw error;
@@ -102,9 +139,143 @@ class BuyeeScraper {
   }
 
   // Scrape search results and save to search.json
-  async scrapeSearchResults(term, minPrice = "", maxPrice = "", page = 1) {
-    console.log(`Searching for "${term}" - Page ${page}`);
+  // filters: see searchFilters.js (category, condition, sort, ...)
+  // marketplaceId: see marketplaces/index.js; defaults to Yahoo! Auctions
+  // fetchMode: see FETCH_MODES; defaults to the scraper's fetchMode
+  async scrapeSearchResults(term, minPrice = "", maxPrice = "", page = 1, filters = {}, marketplaceId = "yahoo", { fetchMode = this.fetchMode } = {}) {
+    console.log(`Searching ${marketplaceId} for "${term}" - Page ${page}`);
     
+    const marketplace = getMarketplace(marketplaceId);
+    if (!marketplace) {
+      throw new Error(`Unknown marketplace: ${marketplaceId}`);
+    }
+
+    try {
+      // Bounds may be numbers or price text such as "1,200 YEN"
+      const minYen = normalizePriceBound(minPrice);
+      const maxYen = normalizePriceBound(maxPrice);
+
+      // Construct search URL with explicit page parameter
+      const searchUrl = marketplace.buildSearchUrl(this.baseUrl, {
+        term,
+        minYen,
+        maxYen,
+        page,
+        filterQuery: buildFilterQuery(filters, marketplace)
+      });
+
+      // Add console logging for debugging
+      console.log(`Navigating to: ${searchUrl}`);
+
+      const resultPage = await this.withFetchMode(
+        fetchMode,
+        () => this.readSearchPageViaHttp(searchUrl, marketplace),
+        () => this.readSearchPageViaBrowser(searchUrl, marketplace),
+        searchUrl
+      );
+
+      if (resultPage.noResults) {
+        console.log('No results found for search');
+        return {
+          products: [],
+          totalProducts: 0,
+          currentPage: page
+        };
+      }
+
+      // Extract total products on first page
+      let totalProducts = 0;
+      if (page === 1 && resultPage.totalText) {
+        const totalProductsMatch = resultPage.totalText.match(marketplace.totalPattern);
+        totalProducts = totalProductsMatch ? parseInt(totalProductsMatch[1], 10) : 0;
+      }
+
+      console.log(`Found ${resultPage.cards.length} items`);
+      const products = resultPage.cards
+        .filter(Boolean)
+        .map(productData => ({
+          ...productData,
+          source: marketplace.id,
+          ...parsePrice(productData.price),
+          ...resolveEndTime(productData.time_remaining)
+        }));
+
+      // Buyee's own price filter can let through items whose current price
+      // is out of range, so check the parsed price as well, along with the
+      // filters Buyee has no parameter for
+      const matchingProducts = applyLocalFilters(filterByPrice(products, minYen, maxYen), filters);
+
+      return {
+        products: matchingProducts,
+        scannedCount: products.length,
+        // Fixed-price markets report no total; null tells the runners to
+        // keep paging until a page comes back empty
+        totalProducts: marketplace.totalSelector ? totalProducts || products.length : null,
+        currentPage: page
+      };
+    } catch (error) {
+      // A saturated browser pool is not an empty search; let the caller fail
+      if (error.code === 'POOL_TIMEOUT') throw error;
+
+      console.error('Search failed:', error);
+      // Return empty results instead of throwing, with the reason
+      return {
+        products: [],
+        totalProducts: 0,
+        currentPage: page,
+        error: error.message
+      };
+    }
+  }
+
+  // Run the HTTP reader, the browser reader, or the HTTP reader with the
+  // browser as fallback when it fails, depending on fetchMode
+  async withFetchMode(fetchMode, viaHttp, viaBrowser, url) {
+    if (!FETCH_MODES.includes(fetchMode)) {
+      throw new Error(`Unknown fetch mode "${fetchMode}". Expected one of: ${FETCH_MODES.join(', ')}`);
+    }
+    if (fetchMode === 'browser') return viaBrowser();
+    if (fetchMode === 'http') return viaHttp();
+
+    try {
+      return await viaHttp();
+    } catch (error) {
+      console.warn(`HTTP fetch failed for ${url}, falling back to the browser:`, error.message);
+      return viaBrowser();
+    }
+  }
+
+  // One search results page read as { noResults, totalText, cards }, where
+  // cards are the marketplace's parseCard() output
+  async readSearchPageViaHttp(searchUrl, marketplace) {
+    const parsed = await fetchDocument(searchUrl, { timeout: 25000 });
+    const { document } = parsed;
+
+    if (document.querySelector(marketplace.noResultsSelector)) {
+      return { noResults: true, totalText: null, cards: [] };
+    }
+
+    const totalElement = marketplace.totalSelector ? document.querySelector(marketplace.totalSelector) : null;
+    const cardSelector = marketplace.cardSelectors.find(selector => document.querySelector(selector));
+
+    // Neither results nor the no-results notice: not the page we expected,
+    // e.g. a bot check, so let the browser have a go
+    if (!cardSelector) {
+      throw new Error('No result cards in the HTML response');
+    }
+
+    const cards = Array.from(document.querySelectorAll(cardSelector))
+      .map(item => runExtractor(marketplace.parseCard, parsed, item))
+      .map(card => card && { ...card, images: resolveImageUrls(card.images, parsed.url) });
+
+    return {
+      noResults: false,
+      totalText: totalElement ? totalElement.textContent : null,
+      cards
+    };
+  }
+
+  async readSearchPageViaBrowser(searchUrl, marketplace) {
     let context;
     let pageInstance;
     try {
@@ -115,20 +286,6 @@ class BuyeeScraper {
       // Set shorter timeouts to avoid Heroku 30s limit
       pageInstance.setDefaultTimeout(25000);
       pageInstance.setDefaultNavigationTimeout(25000);
-      
-      // Construct search URL with explicit page parameter
-      let searchUrl = `${this.baseUrl}/item/search/query/${encodeURIComponent(term)}`;
-      
-      const params = [];
-      if (minPrice) params.push(`aucminprice=${encodeURIComponent(minPrice)}`);
-      if (maxPrice) params.push(`aucmaxprice=${encodeURIComponent(maxPrice)}`);
-      params.push("translationType=98");
-      params.push(`page=${page}`);
-      
-      searchUrl += `?${params.join("&")}`;
-
-      // Add console logging for debugging
-      console.log(`Navigating to: ${searchUrl}`);
 
       // Navigate with shorter timeout
       await pageInstance.goto(searchUrl, {
@@ -138,42 +295,34 @@ class BuyeeScraper {
 
       console.log('Page loaded, checking for items...');
 
-      // Extract total products on first page with error handling
-      let totalProducts = 0;
-      if (page === 1) {
+      // Check for no results message first
+      const noResultsElement = await pageInstance.$(marketplace.noResultsSelector);
+      if (noResultsElement) {
+        return { noResults: true, totalText: null, cards: [] };
+      }
+
+      let totalText = null;
+      if (marketplace.totalSelector) {
         try {
-          const totalProductsElement = await pageInstance.$('.result-num');
+          const totalProductsElement = await pageInstance.$(marketplace.totalSelector);
           if (totalProductsElement) {
-            const totalProductsText = await totalProductsElement.innerText();
-            const totalProductsMatch = totalProductsText.match(/\/\s*(\d+)/);
-            totalProducts = totalProductsMatch ? parseInt(totalProductsMatch[1], 10) : 0;
+            totalText = await totalProductsElement.innerText();
           }
         } catch (extractionError) {
           console.warn('Could not extract total products:', extractionError);
         }
       }
 
-      // Check for no results message first
-      const noResultsElement = await pageInstance.$('.search-no-hits');
-      if (noResultsElement) {
-        console.log('No results found for search');
-        return {
-          products: [],
-          totalProducts: 0,
-          currentPage: page
-        };
-      }
-
       // Wait for items with shorter timeout and fallback
+      const [cardSelector, ...alternativeSelectors] = marketplace.cardSelectors;
       let items = [];
       try {
-        await pageInstance.waitForSelector(".itemCard", { timeout: 15000 });
-        items = await pageInstance.$$(".itemCard");
+        await pageInstance.waitForSelector(cardSelector, { timeout: 15000 });
+        items = await pageInstance.$$(cardSelector);
       } catch (selectorError) {
-        console.log('Timeout waiting for .itemCard, checking alternative selectors...');
+        console.log(`Timeout waiting for ${cardSelector}, checking alternative selectors...`);
         
         // Try alternative selectors
-        const alternativeSelectors = ['.g-thumbnail', '.itemCard__itemName'];
         for (const selector of alternativeSelectors) {
           try {
             await pageInstance.waitForSelector(selector, { timeout: 5000 });
@@ -185,230 +334,149 @@ class BuyeeScraper {
         }
       }
 
-      console.log(`Found ${items.length} items`);
-      const products = [];
-
+      const cards = [];
       for (const item of items) {
         try {
-          const productData = await pageInstance.evaluate((itemEl) => {
-            const titleElement = itemEl.querySelector(".itemCard__itemName a") || 
-                              itemEl.querySelector("a[data-testid='item-name']");
-            const title = titleElement ? titleElement.textContent.trim() : "No Title";
-            
-            let url = titleElement ? titleElement.getAttribute("href") : null;
-            if (!url) return null;
-            
-            url = url.startsWith("http") ? url : `https://buyee.jp${url}`;
-
-            const imgElement = itemEl.querySelector(".g-thumbnail__image") || 
-                            itemEl.querySelector("img[data-testid='item-image']");
-            const imgSrc = imgElement 
-              ? (imgElement.getAttribute("data-src") || 
-                imgElement.getAttribute("src") || 
-                imgElement.src)
-              : null;
-
-            const priceElement = itemEl.querySelector(".g-price") ||
-                              itemEl.querySelector("[data-testid='item-price']");
-            const price = priceElement ? priceElement.textContent.trim() : "Price Not Available";
-
-            const timeElements = [
-              itemEl.querySelector('.itemCard__time'),
-              itemEl.querySelector('.g-text--attention'),
-              itemEl.querySelector('.timeLeft'),
-              itemEl.querySelector('[data-testid="time-remaining"]')
-            ];
-
-            const timeRemaining = timeElements.find(el => el && el.textContent)
-              ?.textContent.trim() || 'Time Not Available';
-
-            return {
-              title,
-              price,
-              url,
-              time_remaining: timeRemaining,
-              images: imgSrc ? [imgSrc.split("?")[0]] : [],
-            };
-          }, item);
-
-          if (productData) {
-            products.push(productData);
-          }
+          cards.push(await pageInstance.evaluate(marketplace.parseCard, item));
         } catch (itemError) {
           console.error('Error processing individual item:', itemError);
         }
       }
 
-      return {
-        products,
-        totalProducts: totalProducts || products.length,
-        currentPage: page
-      };
-    } catch (error) {
-      console.error('Search failed:', error);
-      // Return empty results instead of throwing
-      return {
-        products: [],
-        totalProducts: 0,
-        currentPage: page
-      };
+      return { noResults: false, totalText, cards };
     } finally {
       if (pageInstance) await pageInstance.close();
       if (context) await context.close();
     }
   }
 
-  // Add this method to your BuyeeScraper class
-async scrapeDetails(urls = []) {
-  let context;
-  let page;
-  
-  try {
-    ({ context } = await this.setupBrowser());
-    page = await context.newPage();
-    
-    const detailedProducts = [];
-    
-    for (const productUrl of urls) {
-      try {
-        console.log(`Navigating to URL: ${productUrl}`);
-        await page.goto(productUrl, { 
-          waitUntil: 'domcontentloaded',
-          timeout: 30000 
-        });
+  // Details for each URL, in input order. Up to `concurrency` URLs are worked
+  // on at once, requests to one host are spaced out by the shared rate
+  // limiter, and a URL not done `timeout` ms after it was picked up is given
+  // up on; the wait for a pool page and the browser fallback count too.
+  // fetchMode picks plain HTTP, the browser (a pooled page per URL, so other
+  // callers get a turn between URLs) or HTTP with the browser as fallback.
+  // Concurrency is capped one below the pool size, leaving a page free for
+  // everything else. A failed URL comes back in its place as { url, error }.
+  async scrapeDetails(urls = [], { concurrency = 3, timeout = 30000, fetchMode = this.fetchMode } = {}) {
+    const results = new Array(urls.length);
+    let next = 0;
 
-        const productDetails = await page.evaluate(() => {
-          // Title extraction
-          let title = 'No Title';
-          const titleElements = [
-            document.querySelector('h1'),
-            document.querySelector('.itemName'),
-            document.querySelector('.itemInfo__name'),
-            document.title
-          ];
-          for (const titleEl of titleElements) {
-            if (titleEl && titleEl.textContent) {
-              title = titleEl.textContent.trim();
-              break;
-            }
-          }
+    const viaBrowser = async (productUrl, budget) => {
+      let context;
+      let page;
+      try {
+        ({ context } = await this.setupBrowser(DEFAULT_ACCOUNT, { queueTimeout: timeLeft(budget) }));
+        page = await context.newPage();
+        return await this.scrapeDetailPage(page, productUrl, budget);
+      } finally {
+        if (page) await page.close().catch(console.error);
+        if (context) await context.close().catch(console.error);
+      }
+    };
 
-          // Price extraction
-          let price = 'Price Not Available';
-          const priceElements = [
-            document.querySelector('.current_price .price'),
-            document.querySelector('.price'),
-            document.querySelector('.itemPrice')
-          ];
-          for (const priceEl of priceElements) {
-            if (priceEl && priceEl.textContent) {
-              price = priceEl.textContent.trim();
-              break;
-            }
-          }
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        const productUrl = urls[index];
+        const budget = { deadline: Date.now() + timeout, timeout };
+        try {
+          results[index] = await this.withFetchMode(
+            fetchMode,
+            () => this.scrapeDetailViaHttp(productUrl, budget),
+            () => viaBrowser(productUrl, budget),
+            productUrl
+          );
+        } catch (error) {
+          console.error(`Error scraping details for ${productUrl}:`, error.message);
+          results[index] = { url: productUrl, error: error.message };
+        }
+      }
+    };
 
-          // Time remaining extraction
-          let time_remaining = 'Time Not Available';
-          const timeElements = [
-            document.querySelector('.itemInformation__infoItem .g-text--attention'),
-            document.querySelector('.itemInfo__time span'),
-            document.querySelector('.timeLeft')
-          ];
-          for (const timeEl of timeElements) {
-            if (timeEl && timeEl.textContent) {
-              time_remaining = timeEl.textContent.trim();
-              break;
-            }
-          }
+    const maxWorkers = Math.max(this.pool.maxPages - 1, 1);
+    const workerCount = Math.min(Math.max(concurrency, 1), maxWorkers, urls.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+  }
 
-          // Image extraction
-          const images = [];
-          const imageSelectors = [
-            '.flexslider .slides img',
-            '.itemImg img',
-            '.mainImage img',
-            '.g-thumbnail__image',
-            'ol.flex-control-nav li img'
-          ];
-          
-          for (const selector of imageSelectors) {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(element => {
-              const imgSrc = element.src || element.getAttribute('data-src');
-              if (imgSrc) {
-                // Clean up URL by removing query parameters
-                const cleanUrl = imgSrc.split('?')[0];
-                if (!images.includes(cleanUrl)) {
-                  images.push(cleanUrl);
-                }
-              }
-            });
-            if (images.length > 0) break;
-          }
+  // budget: { deadline, timeout } shared by every step for one URL
+  async scrapeDetailViaHttp(productUrl, budget) {
+    await this.hostLimiter.wait(productUrl);
 
-          return {
-            title,
-            price,
-            time_remaining,
-            url: window.location.href,
-            images: images.length > 0 ? images : []
-          };
-        });
+    const marketplace = marketplaceForUrl(productUrl);
+    const parsed = await fetchDocument(productUrl, { timeout: timeLeft(budget) });
+    const productDetails = runExtractor(marketplace.extractDetail, parsed);
 
-        detailedProducts.push(productDetails);
-        
-        // Add a small delay between requests to avoid rate limiting
-        await page.waitForTimeout(1000);
-        
-      } catch (error) {
-        console.error(`Error scraping details for ${productUrl}:`, error);
-        detailedProducts.push({
-          url: productUrl,
-          error: error.message
-        });
-      }
+    // Nothing recognisable on the page: not the item page we expected
+    if (productDetails.title === 'No Title' && productDetails.price === 'Price Not Available') {
+      throw new Error('No item details in the HTML response');
     }
+    productDetails.images = resolveImageUrls(productDetails.images, parsed.url);
 
-    return detailedProducts;
-    
-  } catch (error) {
-    console.error('Details scraping error:', error);
-    return [];
-  } finally {
-    if (page) await page.close();
+    return buildDetail(productUrl, marketplace, productDetails, {
+      endDateText: runExtractor(extractEndDateText, parsed),
+      itemInfo: runExtractor(extractItemInfo, parsed)
+    });
   }
-}
 
-  async placeBid(productUrl, bidAmount) {
-    let browser = null;
+  async scrapeDetailPage(page, productUrl, budget) {
+    await this.hostLimiter.wait(productUrl);
+    const timeout = timeLeft(budget);
+
+    // Closing the page makes whatever step is pending fail right away
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      page.close().catch(() => {});
+    }, timeout);
+
+    try {
+      console.log(`Navigating to URL: ${productUrl}`);
+      await page.goto(productUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout
+      });
+
+      const marketplace = marketplaceForUrl(productUrl);
+      const productDetails = await page.evaluate(marketplace.extractDetail);
+
+      return buildDetail(productUrl, marketplace, productDetails, {
+        endDateText: await page.evaluate(extractEndDateText),
+        itemInfo: await page.evaluate(extractItemInfo)
+      });
+    } catch (error) {
+      if (timedOut) throw new Error(`Timed out after ${Math.round(budget.timeout / 1000)}s`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // bidOptions: { planId, options } for the bid form; see GET /bid/:auctionId/options.
+  // The bid only ever goes out from accountId's own stored session.
+  async placeBid(productUrl, bidAmount, { planId, options, accountId = DEFAULT_ACCOUNT } = {}) {
     let context = null;
     let page = null;
     
     try {
-      // Extract auction ID from product URL
-      const auctionIdMatch = productUrl.match(/auction\/([a-z0-9]+)/i) || productUrl.match(/\/([a-z0-9]+)\?/i);
-      if (!auctionIdMatch) {
+      // Extract auction ID (or listing ID) from product URL
+      const marketplace = marketplaceForUrl(productUrl);
+      const auctionId = marketplace.extractItemId(productUrl);
+      if (!auctionId) {
         throw new Error('Invalid product URL format');
       }
-      const auctionId = auctionIdMatch[1];
-  
-      // Read and parse existing login state
-      const loginStateRaw = fs.readFileSync('login.json', 'utf8');
-      const loginState = JSON.parse(loginStateRaw);
-  
-      // Comprehensive browser launch with all stored cookies and headers
-      browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins,site-per-process'
-        ]
-      });
   
-      // Context creation with comprehensive settings
-      context = await browser.newContext({
+      // Read and parse existing login state. No fallback to another
+      // account's session: a missing login fails the bid instead.
+      const loginState = await vault.readSession(accountId);
+      if (!loginState) {
+        throw new Error(`Account "${accountId}" is not logged in`);
+      }
+  
+      // Context creation with comprehensive settings; bids skip the queue
+      // ahead of searches and may use the page the pool holds back
+      context = await this.pool.acquire({
         viewport: { width: 1280, height: 720 },
         userAgent: loginState.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36',
         extraHTTPHeaders: {
@@ -419,7 +487,7 @@ async scrapeDetails(urls = []) {
           'sec-ch-ua-mobile': '?0',
           'sec-ch-ua-platform': '"macOS"'
         }
-      });
+      }, { priority: true });
   
       // Add ALL cookies from login state
       const cookiesToAdd = loginState.cookies.map(cookie => ({
@@ -433,84 +501,26 @@ async scrapeDetails(urls = []) {
   
       page = await context.newPage();
   
-      // Preliminary API calls mimicking browser behavior
-      await page.goto(productUrl, { 
-        waitUntil: 'networkidle',
-        timeout: 60000 
-      });
-  
-      // Perform cookie sync and other preparatory API calls
-      await page.evaluate(() => {
-        // Simulate browser-like API calls
-        return Promise.all([
-          fetch('/api/v1/cookie/get', { credentials: 'include' }),
-          fetch('/api/v1/watch_list/find', { credentials: 'include' })
-        ]);
-      });
-  
-      // Navigate to bid page
-      const bidUrl = `https://buyee.jp/bid/${auctionId}`;
-      await page.goto(bidUrl, { 
-        waitUntil: 'networkidle',
-        timeout: 60000 
-      });
-  
-      // Verify total amount API call
-      await page.evaluate((params) => {
-        return fetch(`/api/v1/auction/total_amount?price=${params.bidAmount}&quantity=1&planId=99&auctionId=${params.auctionId}`, {
-          method: 'GET',
-          credentials: 'include'
-        });
-      }, { bidAmount, auctionId });
-  
-      // Fill bid amount and select plan
-      await page.fill('input[name="bidYahoo[price]"], #bidYahoo_price', bidAmount.toString());
-      await page.evaluate(() => {
-        const planSelect = document.querySelector('#bidYahoo_plan');
-        if (planSelect) {
-          planSelect.value = '99';
-          planSelect.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-      });
-  
-      // Find and click submit button
-      const submitSelectors = [
-        '#bid_submit', 
-        'button[type="submit"]', 
-        'input[type="submit"]'
-      ];
-  
-      let submitButton = null;
-      for (const selector of submitSelectors) {
-        try {
-          submitButton = await page.$(selector);
-          if (submitButton) {
-            await submitButton.click();
-            break;
-          }
-        } catch {}
-      }
-  
-      // Wait for navigation with longer timeout
-      await page.waitForNavigation({ 
-        waitUntil: 'networkidle0',
-        timeout: 30000 
+      // Auctions are bid on; fixed-price listings are bought outright
+      const { plan, options: appliedOptions = {} } = await marketplace.purchase(page, {
+        productUrl,
+        itemId: auctionId,
+        amount: bidAmount,
+        planId,
+        options
       });
   
-      // Verify completion page
-      const currentUrl = page.url();
-      console.log('Current URL after submission:', currentUrl);
-  
-      if (!currentUrl.includes('/bid/complete/') && !currentUrl.includes('/complete/')) {
-        throw new Error('Navigation to completion page failed');
-      }
-  
       return {
         success: true,
         message: `Successfully placed bid of ${bidAmount}`,
         details: {
           productUrl,
+          source: marketplace.id,
+          accountId,
+          auctionId,
           bidAmount,
+          plan,
+          options: appliedOptions,
           timestamp: new Date().toISOString()
         }
       };
@@ -535,11 +545,115 @@ async scrapeDetails(urls = []) {
     } finally {
       if (page) await page.close().catch(console.error);
       if (context) await context.close().catch(console.error);
-      if (browser) await browser.close().catch(console.error);
     }
   }
 
-    
+  // Fee breakdown and minimum next bid for a prospective bid, without bidding.
+  // Uses the stored login session, which Buyee requires for the fee API.
+  async previewBid(productUrl, bidAmount, planId, accountId = DEFAULT_ACCOUNT) {
+    let context;
+    let page;
+    try {
+      const marketplace = marketplaceForUrl(productUrl);
+      if (!marketplace.previewBid) {
+        throw new Error(`Bid previews are not available for ${marketplace.name}`);
+      }
+
+      const auctionId = marketplace.extractItemId(productUrl);
+      if (!auctionId) {
+        throw new Error('Invalid product URL format');
+      }
+
+      ({ context } = await this.setupBrowser(accountId));
+      page = await context.newPage();
+
+      const preview = await marketplace.previewBid(page, {
+        productUrl,
+        itemId: auctionId,
+        amount: bidAmount,
+        planId
+      });
+
+      return {
+        success: true,
+        details: {
+          productUrl,
+          source: marketplace.id,
+          auctionId,
+          bidAmount: Number(bidAmount),
+          ...preview
+        }
+      };
+    } catch (error) {
+      console.error("Bid preview error:", error);
+      return {
+        success: false,
+        message: `Failed to preview bid: ${error.message}`
+      };
+    } finally {
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
+    }
+  }
+
+  // Plans and other choices offered on a Yahoo auction's bid form
+  async getBidOptions(auctionId, accountId = DEFAULT_ACCOUNT) {
+    let context;
+    let page;
+    try {
+      ({ context } = await this.setupBrowser(accountId));
+      page = await context.newPage();
+
+      const { plans, options } = await getMarketplace("yahoo").getBidOptions(page, { itemId: auctionId });
+      return { success: true, auctionId, plans, options };
+    } catch (error) {
+      console.error("Bid options error:", error);
+      return {
+        success: false,
+        message: `Failed to load bid options: ${error.message}`
+      };
+    } finally {
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
+    }
+  }
+
+  // Auctions on the account's My Page "bidding" and "won" lists. Throws when
+  // the session is not logged in, so callers never mistake that for no bids.
+  async scrapeMyAuctions(accountId = DEFAULT_ACCOUNT) {
+    let context;
+    let page;
+    try {
+      ({ context } = await this.setupBrowser(accountId));
+      page = await context.newPage();
+
+      const lists = {};
+      for (const [listName, listUrl] of Object.entries(MY_PAGE_URLS)) {
+        await page.goto(listUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: 60000
+        });
+
+        if (page.url().includes('/signup/login')) {
+          throw new Error('Not logged in; log in again to check bid status');
+        }
+
+        const items = await page.evaluate(extractMyPageItems);
+        lists[listName] = items.map(item => ({
+          ...item,
+          auctionId: BuyeeScraper.extractAuctionId(item.url),
+          ...parsePrice(item.price),
+          ...(listName === 'bidding' ? { biddingStatus: classifyBidding(item) } : {})
+        }));
+      }
+
+      return lists;
+    } finally {
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
+    }
+  }
+
   // Add retry utility
   async retry(fn, retries = 3) {
     for (let i = 0; i < retries; i++) {
@@ -600,10 +714,15 @@ async scrapeDetails(urls = []) {
         } catch {}
       }
   
+      const endDateText = await page.evaluate(extractEndDateText).catch(() => null);
+
       return {
         productUrl,
+        source: marketplaceForUrl(productUrl).id,
         price: price.trim(),
-        timeRemaining: timeRemaining.trim()
+        ...parsePrice(price),
+        timeRemaining: timeRemaining.trim(),
+        ...resolveEndTime(timeRemaining, endDateText)
       };
     } catch (error) {
       console.error("Error during bid update:", error);
@@ -612,37 +731,21 @@ async scrapeDetails(urls = []) {
         error: error.message
       };
     } finally {
-      if (page) await page.close();
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
     }
   }
   
-  async login(username, password) {
+  // The account's current session stays in place until the new one is saved.
+  // When Buyee asks for a two-factor code the pre-2FA state is kept as a login
+  // attempt, and its ID has to be passed to submitTwoFactorCode().
+  async login(username, password, accountId = DEFAULT_ACCOUNT) {
     let context;
     let page;
   
     try {
-      console.log('Checking for existing login state...');
-      try {
-        if (fs.existsSync('login.json')) {
-          console.log('Clearing existing login.json file');
-          fs.unlinkSync('login.json');
-        }
-      } catch (e) {
-        console.log('No existing login.json file to clear');
-      }
-  
-      // Create fresh browser context without loading any state
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins,site-per-process'
-        ]
-      });
-      
-      context = await this.browser.newContext({
+      // Fresh pooled context without any stored state
+      context = await this.pool.acquire({
         viewport: { width: 1280, height: 720 },
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         locale: 'en-US',
@@ -679,6 +782,11 @@ async scrapeDetails(urls = []) {
   
       // Take screenshot after navigation
       await page.screenshot({ path: 'post-login.png' });
+
+      // Buyee shows the form again when the username or password is wrong
+      if (page.url().includes('/signup/login')) {
+        throw new Error('Login failed; check the username and password');
+      }
   
       // Check if we're on the 2FA page
       const is2FAPage = page.url().includes('/signup/twoFactor');
@@ -688,17 +796,19 @@ async scrapeDetails(urls = []) {
         const pageContent = await page.content();
         console.log('2FA Page HTML:', pageContent);
         
-        // Save temporary state for 2FA
-        await context.storageState({ path: "temp_login.json" });
+        // Keep this attempt's state until its code comes in
+        const attempt = this.loginAttempts.create(accountId, await context.storageState());
         
         return { 
           success: false, 
-          requiresTwoFactor: true
+          requiresTwoFactor: true,
+          loginAttemptId: attempt.id,
+          expiresAt: new Date(attempt.expiresAt).toISOString()
         };
       }
   
       // Save final login state
-      await context.storageState({ path: "login.json" });
+      await vault.writeSession(accountId, await context.storageState());
       
       return { success: true };
   
@@ -707,43 +817,37 @@ async scrapeDetails(urls = []) {
       await page?.screenshot({ path: 'login-error.png' });
       throw error;
     } finally {
-      if (page) await page.close();
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
     }
   }
 
-  async submitTwoFactorCode(twoFactorCode) {
+  // Finish the login attempt started by login(). A wrong code leaves the
+  // attempt open so the code can be entered again until it expires.
+  async submitTwoFactorCode(twoFactorCode, loginAttemptId) {
+    const attempt = this.loginAttempts.get(loginAttemptId);
+    if (!attempt) {
+      throw new Error('Login attempt not found or expired. Please log in again.');
+    }
+    if (attempt.inProgress) {
+      throw new Error('A two-factor code for this login attempt is already being checked');
+    }
+
+    const { accountId } = attempt;
     let context;
     let page;
   
+    attempt.inProgress = true;
     try {
-      // Create context using the temporary login state
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins,site-per-process'
-        ]
-      });
-  
-      // Try to load the temporary login state
-      let loginState;
-      try {
-        loginState = JSON.parse(fs.readFileSync('temp_login.json', 'utf8'));
-        console.log('Loaded temporary login state');
-      } catch (e) {
-        console.error('Failed to load temporary login state:', e);
-        throw new Error('No temporary login state found. Please log in again.');
-      }
+      console.log(`Continuing login attempt ${attempt.id} for account ${accountId}`);
   
-      context = await this.browser.newContext({
+      context = await this.pool.acquire({
         viewport: { width: 1280, height: 720 },
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         locale: 'en-US',
         timezoneId: 'Europe/Berlin',
         acceptDownloads: true,
-        storageState: loginState
+        storageState: attempt.storageState
       });
   
       page = await context.newPage();
@@ -803,18 +907,11 @@ async scrapeDetails(urls = []) {
         throw new Error('Still on 2FA page after code entry');
       }
   
-      // Save the final login state
-      await context.storageState({ path: "login.json" });
+      // Save the final login state; the attempt is done
+      await vault.writeSession(accountId, await context.storageState());
+      this.loginAttempts.delete(attempt.id);
       
-      // Clean up temporary login state
-      try {
-        fs.unlinkSync('temp_login.json');
-        console.log('Temporary login state cleaned up');
-      } catch (e) {
-        console.log('No temporary login state to clean up');
-      }
-      
-      return { success: true };
+      return { success: true, accountId };
   
     } catch (error) {
       console.error('Two-factor authentication error:', error);
@@ -833,42 +930,79 @@ async scrapeDetails(urls = []) {
       
       throw error;
     } finally {
-      if (page) await page.close();
-      if (context) await context.close();
+      attempt.inProgress = false;
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
     }
   }
-  async refreshLoginSession() {
-    console.log('Refreshing login session...');
-    const loginResult = await this.login('teege@machen-sachen.com', '&7.s!M47&zprEv.');
+  // Log in again with the credentials stored in the vault at the last login.
+  // Resolves to the login result, which may ask for a two-factor code.
+  async refreshLoginSession(accountId = DEFAULT_ACCOUNT) {
+    console.log(`Refreshing login session for account ${accountId}...`);
+    const credentials = await vault.readCredentials(accountId);
+    if (!credentials) {
+      throw new Error(`No stored credentials for account ${accountId}; log in through /login first`);
+    }
+
+    const loginResult = await this.login(credentials.username, credentials.password, accountId);
     if (loginResult.success) {
       console.log('Login session refreshed successfully');
-      await this.checkLoginState(); // Verify the new session
+      await this.checkLoginState(accountId); // Verify the new session
+    } else if (loginResult.requiresTwoFactor) {
+      console.log('Login session refresh is waiting for a two-factor code');
     } else {
       console.error('Failed to refresh login session');
       throw new Error('Failed to refresh login session');
     }
+    return loginResult;
+  }
+
+  // Load a members-only page with the account's stored session; true when
+  // Buyee serves it instead of redirecting to the login page
+  async probeLoginSession(accountId = DEFAULT_ACCOUNT) {
+    let context;
+    let page;
+    try {
+      // Runs before bids, so it shares their place in the pool's queue
+      ({ context } = await this.setupBrowser(accountId, { priority: true }));
+      page = await context.newPage();
+      await page.goto(MY_PAGE_URLS.bidding, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      return !page.url().includes('/signup/login');
+    } finally {
+      if (page) await page.close().catch(console.error);
+      if (context) await context.close().catch(console.error);
+    }
   }
   async cleanup() {
+    this.loginAttempts.stop();
     try {
-      if (this.browser) {
-        await this.browser.close();
-        this.browser = null;
-        console.log('Browser instance cleaned up successfully');
-      }
+      await this.pool.close();
+      console.log('Browser instance cleaned up successfully');
     } catch (error) {
       console.error('Error during browser cleanup:', error);
       throw error;
     }
   }
   
-  async checkLoginState() {
+  async checkLoginState(accountId = DEFAULT_ACCOUNT) {
     try {
-      const loginData = JSON.parse(fs.readFileSync('login.json', 'utf8'));      
+      const loginData = await vault.readSession(accountId);
+      if (!loginData) {
+        console.log(`No stored login for account ${accountId}`);
+        return false;
+      }
       const cookies = loginData.cookies || [];
       const requiredCookies = ['otherbuyee', 'userProfile', 'userId'];
+
+      // Playwright stores expiry in seconds; -1 marks a session cookie
+      const nowSeconds = Date.now() / 1000;
+      const isLive = cookie => !cookie.expired && !(cookie.expires > 0 && cookie.expires <= nowSeconds);
       
       const hasAllRequiredCookies = requiredCookies.every(name => 
-        cookies.some(cookie => cookie.name === name && !cookie.expired)
+        cookies.some(cookie => cookie.name === name && isLive(cookie))
       );
       
       console.log('Has all required cookies:', hasAllRequiredCookies);
@@ -876,7 +1010,7 @@ async scrapeDetails(urls = []) {
       
       if (!hasAllRequiredCookies) {
         const missingCookies = requiredCookies.filter(name => 
-          !cookies.some(cookie => cookie.name === name && !cookie.expired)
+          !cookies.some(cookie => cookie.name === name && isLive(cookie))
         );
         console.log('Missing or expired cookies:', missingCookies);
       }
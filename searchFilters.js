@@ -0,0 +1,108 @@
+// Search filters accepted per term in addition to minPrice/maxPrice. Each
+// entry validates its value; the marketplace maps it onto its search URL.
+// Filters a marketplace cannot express are applied to the scraped results.
+const { getMarketplace } = require('./marketplaces');
+
+const CONDITIONS = ['new', 'used'];
+const SELLER_TYPES = ['store', 'individual'];
+
+function isBoolean(value) {
+  return [true, false, 'true', 'false', 1, 0, '1', '0'].includes(value);
+}
+
+const SEARCH_FILTERS = {
+  category: {
+    description: 'numeric category ID',
+    validate: value => /^\d+$/.test(String(value))
+  },
+  condition: {
+    description: CONDITIONS.join(' or '),
+    validate: value => CONDITIONS.includes(value)
+  },
+  buyNowOnly: {
+    description: 'boolean',
+    validate: isBoolean
+  },
+  freeShipping: {
+    description: 'boolean',
+    validate: isBoolean
+  },
+  sellerType: {
+    description: SELLER_TYPES.join(' or '),
+    validate: value => SELLER_TYPES.includes(value)
+  },
+  sort: {
+    // Sort orders differ per marketplace
+    description: marketplace => marketplace.sortOrders.join(', '),
+    validate: (value, marketplace) => marketplace.sortOrders.includes(value)
+  },
+  endingWithinHours: {
+    description: 'positive number of hours',
+    validate: value => !isNaN(value) && Number(value) > 0,
+    auctionOnly: true,
+    // Buyee has no such filter, so results are filtered on their parsed end time
+    filter: (value, product) =>
+      product.secondsRemaining !== null && product.secondsRemaining !== undefined &&
+      product.secondsRemaining <= Number(value) * 60 * 60
+  }
+};
+
+function supportedFilters(marketplace) {
+  return Object.keys(SEARCH_FILTERS).filter(name => {
+    const spec = SEARCH_FILTERS[name];
+    if (spec.filter) return !spec.auctionOnly || marketplace.isAuction;
+    return Boolean(marketplace.filters[name]);
+  });
+}
+
+// Returns a list of human-readable problems; empty when the filters are valid
+function validateSearchFilters(filters, marketplace = getMarketplace()) {
+  if (filters === undefined || filters === null) return [];
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be an object'];
+  }
+
+  const supported = supportedFilters(marketplace);
+  const errors = [];
+  for (const [name, value] of Object.entries(filters)) {
+    const spec = SEARCH_FILTERS[name];
+    if (!spec || !supported.includes(name)) {
+      errors.push(`Unsupported filter "${name}" for ${marketplace.name}. Supported filters: ${supported.join(', ')}`);
+    } else if (!spec.validate(value, marketplace)) {
+      const description = typeof spec.description === 'function'
+        ? spec.description(marketplace)
+        : spec.description;
+      errors.push(`Invalid value for filter "${name}": expected ${description}`);
+    }
+  }
+  return errors;
+}
+
+// Path segments and query parameters for the filters the marketplace understands
+function buildFilterQuery(filters = {}, marketplace = getMarketplace()) {
+  const query = { pathSegments: [], params: [] };
+  for (const [name, value] of Object.entries(filters || {})) {
+    const apply = marketplace.filters[name];
+    if (apply) {
+      apply(value, query);
+    }
+  }
+  return query;
+}
+
+// Apply the filters Buyee cannot express to scraped products
+function applyLocalFilters(products, filters = {}) {
+  const localFilters = Object.entries(filters || {})
+    .filter(([name]) => SEARCH_FILTERS[name] && SEARCH_FILTERS[name].filter);
+
+  return products.filter(product =>
+    localFilters.every(([name, value]) => SEARCH_FILTERS[name].filter(value, product))
+  );
+}
+
+module.exports = {
+  SEARCH_FILTERS,
+  validateSearchFilters,
+  buildFilterQuery,
+  applyLocalFilters
+};
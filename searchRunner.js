@@ -0,0 +1,190 @@
+const { marketplaceForUrl } = require('./marketplaces');
+
+const PAGE_DELAY = 1000;
+
+// Items on the page before local filtering
+function pageItemCount(searchResult) {
+  return searchResult.scannedCount ?? searchResult.products.length;
+}
+
+// Scrape consecutive result pages for one search term. Stops early when a
+// page comes back empty or every known result has been fetched.
+// onPage is called with each page's products as soon as it is parsed, and
+// with the scrape error when the page failed.
+async function fetchTermPages(scraper, termSpec, {
+  startPage = 1,
+  maxPages = 4,
+  totalProducts = null,
+  alreadyFetched = 0,
+  onPage = () => {},
+  isCancelled = () => false
+} = {}) {
+  let products = [];
+  let total = totalProducts;
+  let lastPage = startPage - 1;
+  let scanned = 0;
+
+  for (let page = startPage; page < startPage + maxPages; page++) {
+    if (isCancelled()) break;
+
+    const searchResult = await scraper.scrapeSearchResults(
+      termSpec.term,
+      termSpec.minPrice,
+      termSpec.maxPrice,
+      page,
+      termSpec.filters,
+      termSpec.marketplace,
+      { fetchMode: termSpec.fetchMode }
+    );
+
+    // Only the first page reports the overall result count
+    if (page === 1) {
+      total = searchResult.totalProducts;
+    }
+
+    scanned += pageItemCount(searchResult);
+    if (searchResult.products.length > 0) {
+      products = [...products, ...searchResult.products];
+    }
+    if (pageItemCount(searchResult) > 0) {
+      lastPage = page;
+    }
+
+    await onPage({ page, products: searchResult.products, totalProducts: total, error: searchResult.error || null });
+
+    // Break if we've got all products or the page had no items at all
+    // (a page can be non-empty but have every item filtered out)
+    if (pageItemCount(searchResult) === 0 ||
+        (total !== null && alreadyFetched + scanned >= total)) {
+      break;
+    }
+
+    // Add a small delay between pages to avoid rate limiting
+    if (page < startPage + maxPages - 1) {
+      await new Promise(resolve => setTimeout(resolve, PAGE_DELAY));
+    }
+  }
+
+  // null when the marketplace does not report a total
+  return { products, totalProducts: total, lastPage };
+}
+
+// Same auction can show up under several terms with different query strings;
+// IDs are only unique within a marketplace
+function productKey(product) {
+  const marketplace = marketplaceForUrl(product.url);
+  return `${marketplace.id}:${marketplace.extractItemId(product.url) || product.url}`;
+}
+
+// Per-term paging state for multi-term searches
+function createTermStates(terms) {
+  return terms.map(termSpec => ({
+    term: termSpec.term,
+    nextPage: 1,
+    totalProducts: null,
+    fetched: 0,
+    exhausted: false
+  }));
+}
+
+// Scrape every term of a multi-term search, taking one page from each active
+// term in turn until maxPages pages have been fetched. Products are tagged
+// with the term(s) that matched them and de-duplicated by auction, both
+// within the batch and against `previousResults` from earlier batches.
+// termStates is updated in place so the next call continues where this one stopped.
+async function fetchCombinedPages(scraper, terms, termStates, {
+  previousResults = [],
+  maxPages = 4,
+  onPage = () => {},
+  isCancelled = () => false
+} = {}) {
+  const seen = new Map(previousResults.map(product => [productKey(product), product]));
+  const products = [];
+  const errors = [];
+  // Terms whose page failed sit out the rest of this batch
+  const failed = new Set();
+  let duplicates = 0;
+  let pagesFetched = 0;
+
+  while (pagesFetched < maxPages && !isCancelled()) {
+    const active = termStates
+      .map((state, index) => ({ state, termSpec: terms[index] }))
+      .filter(({ state }) => !state.exhausted && !failed.has(state));
+    if (active.length === 0) break;
+
+    for (const { state, termSpec } of active) {
+      if (pagesFetched >= maxPages || isCancelled()) break;
+
+      if (pagesFetched > 0) {
+        await new Promise(resolve => setTimeout(resolve, PAGE_DELAY));
+      }
+
+      const page = state.nextPage;
+      const searchResult = await scraper.scrapeSearchResults(
+        termSpec.term,
+        termSpec.minPrice,
+        termSpec.maxPrice,
+        page,
+        termSpec.filters,
+        termSpec.marketplace,
+        { fetchMode: termSpec.fetchMode }
+      );
+      pagesFetched++;
+
+      // A failed page says nothing about how many results are left; leave
+      // the term on the same page so the next batch tries it again
+      if (searchResult.error) {
+        const entry = { term: termSpec.term, page, error: searchResult.error };
+        errors.push(entry);
+        failed.add(state);
+        await onPage({ term: termSpec.term, page, products: [], error: entry.error });
+        continue;
+      }
+
+      if (page === 1) {
+        state.totalProducts = searchResult.totalProducts;
+      }
+      state.nextPage = page + 1;
+      state.fetched += pageItemCount(searchResult);
+
+      const pageProducts = [];
+      for (const product of searchResult.products) {
+        const key = productKey(product);
+        const existing = seen.get(key);
+
+        if (existing) {
+          duplicates++;
+          if (!existing.matchedTerms.includes(termSpec.term)) {
+            existing.matchedTerms.push(termSpec.term);
+          }
+          continue;
+        }
+
+        const tagged = { ...product, matchedTerm: termSpec.term, matchedTerms: [termSpec.term] };
+        seen.set(key, tagged);
+        pageProducts.push(tagged);
+      }
+      products.push(...pageProducts);
+
+      if (pageItemCount(searchResult) === 0 ||
+          (state.totalProducts !== null && state.fetched >= state.totalProducts)) {
+        state.exhausted = true;
+      }
+
+      await onPage({ term: termSpec.term, page, products: pageProducts, error: null });
+    }
+  }
+
+  // errors lists the pages that failed to scrape, as { term, page, error }
+  return {
+    products,
+    duplicates,
+    pagesFetched,
+    errors,
+    // Sum across terms; overlapping auctions are counted once per term
+    totalProducts: termStates.reduce((sum, state) => sum + (state.totalProducts || 0), 0),
+    exhausted: termStates.every(state => state.exhausted)
+  };
+}
+
+module.exports = { fetchTermPages, fetchCombinedPages, createTermStates, productKey };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./jsonStore');
+
+const DEFAULT_TTL = 30 * 60 * 1000; // Sessions expire 30 minutes after their last update
+const SWEEP_INTERVAL = 5 * 60 * 1000;
+
+// Search context IDs come from clients, so only accept the format we generate
+function isValidSessionId(id) {
+  return typeof id === 'string' && /^[a-z0-9-]{1,64}$/i.test(id);
+}
+
+function isExpired(session, ttl, now = Date.now()) {
+  return now - (session.lastUpdated || session.createdAt || 0) > ttl;
+}
+
+// Common interface for search session stores:
+//   get(id) -> session | null, set(id, session), delete(id), sweep()
+// Expired sessions are removed on a timer rather than on every request.
+class SearchSessionStore {
+  constructor({ ttl = DEFAULT_TTL } = {}) {
+    this.ttl = ttl;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Search session sweep failed:', error));
+    }, SWEEP_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// In-memory store that also evicts the least recently used sessions once
+// maxEntries is reached
+class MemorySearchSessionStore extends SearchSessionStore {
+  constructor({ ttl, maxEntries = 100 } = {}) {
+    super({ ttl });
+    this.maxEntries = maxEntries;
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    if (isExpired(session, this.ttl)) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  async set(id, session) {
+    session.lastUpdated = Date.now();
+    this.sessions.delete(id);
+    this.sessions.set(id, session);
+
+    while (this.sessions.size > this.maxEntries) {
+      const oldestId = this.sessions.keys().next().value;
+      this.sessions.delete(oldestId);
+    }
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  async sweep() {
+    for (const [id, session] of this.sessions) {
+      if (isExpired(session, this.ttl)) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+// One JSON file per session so sessions survive a restart
+class FileSearchSessionStore extends SearchSessionStore {
+  constructor({ ttl, dir = path.resolve(__dirname, './data/search-sessions') } = {}) {
+    super({ ttl });
+    this.dir = dir;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async get(id) {
+    if (!isValidSessionId(id)) return null;
+
+    const session = await readJson(this.filePath(id), null);
+    if (!session) return null;
+
+    if (isExpired(session, this.ttl)) {
+      await this.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  async set(id, session) {
+    if (!isValidSessionId(id)) {
+      throw new Error(`Invalid search session ID: ${id}`);
+    }
+    session.lastUpdated = Date.now();
+    await writeJsonAtomic(this.filePath(id), session);
+  }
+
+  async delete(id) {
+    if (!isValidSessionId(id)) return;
+    await fs.promises.unlink(this.filePath(id)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async sweep() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const id = path.basename(file, '.json');
+      // Sessions are disposable, so a corrupt one is swept up too
+      const session = await readJson(this.filePath(id), null).catch(() => null);
+      if (!session || isExpired(session, this.ttl)) {
+        await this.delete(id);
+        console.log(`Cleaned up expired search session: ${id}`);
+      }
+    }
+  }
+}
+
+// Pick the store from SEARCH_SESSION_STORE ("file" or "memory")
+function createSearchSessionStore(type = process.env.SEARCH_SESSION_STORE || 'file') {
+  const ttl = parseInt(process.env.SEARCH_SESSION_TTL_MS, 10) || DEFAULT_TTL;
+
+  switch (type) {
+    case 'memory':
+      return new MemorySearchSessionStore({
+        ttl,
+        maxEntries: parseInt(process.env.SEARCH_SESSION_MAX_ENTRIES, 10) || 100
+      });
+    case 'file':
+      return new FileSearchSessionStore({ ttl });
+    default:
+      throw new Error(`Unknown search session store: ${type}`);
+  }
+}
+
+module.exports = {
+  SearchSessionStore,
+  MemorySearchSessionStore,
+  FileSearchSessionStore,
+  createSearchSessionStore
+};
@@ -0,0 +1,366 @@
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const bidStore = require('./bidStore');
+const accounts = require('./accounts');
+const vault = require('./vault');
+const { marketplaceForUrl } = require('./marketplaces');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+
+const parkedBidFilePath = path.resolve(__dirname, './data/parked-bids.json');
+
+const DEFAULT_CHECK_MINUTES = 10;
+// A live probe this recent is trusted before a bid instead of probing again
+const PROBE_MAX_AGE = 2 * 60 * 1000;
+// States in which the session is already known not to work
+const KNOWN_DEAD_STATES = ['refreshing', 'awaiting_2fa', 'logged_out', 'error'];
+
+// Keeps every account's Buyee session usable. Sessions are checked on a
+// schedule and before every bid: first the stored cookies' expiry, then a
+// live probe of a members-only page. Snipes have theirs checked ahead of
+// time and only re-read the cookie expiry when they fire. Stale sessions are renewed with the
+// vault credentials; when Buyee asks for a two-factor code, bids for that
+// account are parked until the code is entered through /login-two-factor.
+//
+// Account states: unknown, valid, refreshing, awaiting_2fa, logged_out, error.
+// Emits 'login_expired' with { accountId, checkedAt }, 'two_factor_required'
+// with { accountId, checkedAt, loginAttemptId },
+// 'parked_bid_replayed' with { parkedBid, response, bid },
+// 'parked_bid_dropped' with { parkedBid, reason }
+// and 'parked_bid_cancelled' with { parkedBid }.
+class SessionManager extends EventEmitter {
+  constructor(scraper, { filePath = parkedBidFilePath, checkMinutes = DEFAULT_CHECK_MINUTES } = {}) {
+    super();
+    this.scraper = scraper;
+    this.filePath = filePath;
+    this.checkMinutes = checkMinutes;
+    this.sessions = new Map();
+    this.inFlight = new Map();
+    this.parkedBids = [];
+    this.timer = null;
+    this.enqueueWrite = createWriteQueue('parked bids');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { parkedBids: [] });
+    this.parkedBids = data.parkedBids || [];
+    console.log(`Loaded ${this.parkedBids.length} parked bid(s)`);
+  }
+
+  save() {
+    return this.enqueueWrite(() => writeJsonAtomic(this.filePath, { parkedBids: this.parkedBids }));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.checkMinutes * 60 * 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  hasPending() {
+    return this.parkedBids.length > 0;
+  }
+
+  session(accountId) {
+    if (!this.sessions.has(accountId)) {
+      this.sessions.set(accountId, {
+        accountId,
+        state: 'unknown',
+        lastCheckedAt: null,
+        lastValidAt: null,
+        loginAttemptId: null,
+        error: null
+      });
+    }
+    return this.sessions.get(accountId);
+  }
+
+  // Public view of one account's session, with its parked bids
+  status(accountId) {
+    const session = this.session(accountId);
+    this.expireTwoFactor(session);
+    const parkedBids = this.parkedBids.filter(parked => parked.accountId === accountId);
+    return {
+      ...session,
+      requiresTwoFactor: session.state === 'awaiting_2fa',
+      parkedBids
+    };
+  }
+
+  async statusAll() {
+    const list = await accounts.readAccounts();
+    return list.map(account => this.status(account.id));
+  }
+
+  setState(session, state, error = null) {
+    const previous = session.state;
+    session.state = state;
+    session.error = error;
+    session.lastCheckedAt = new Date().toISOString();
+    if (state !== 'awaiting_2fa') session.loginAttemptId = null;
+    if (state === 'valid') session.lastValidAt = session.lastCheckedAt;
+
+    if (state === 'awaiting_2fa' && previous !== 'awaiting_2fa') {
+      this.emit('two_factor_required', {
+        accountId: session.accountId,
+        checkedAt: session.lastCheckedAt,
+        loginAttemptId: session.loginAttemptId
+      });
+    }
+  }
+
+  // A check found the session dead; tell subscribers unless it already was
+  markExpired(session) {
+    if (KNOWN_DEAD_STATES.includes(session.state)) return;
+    this.emit('login_expired', { accountId: session.accountId, checkedAt: new Date().toISOString() });
+  }
+
+  async checkAll() {
+    try {
+      for (const account of await accounts.readAccounts()) {
+        await this.check(account.id).catch(error =>
+          console.error(`Session check failed for account ${account.id}:`, error)
+        );
+      }
+    } catch (error) {
+      console.error('Session check failed:', error);
+    }
+  }
+
+  // Concurrent callers for one account share a single check
+  check(accountId) {
+    if (!this.inFlight.has(accountId)) {
+      const run = this.runCheck(accountId).finally(() => this.inFlight.delete(accountId));
+      this.inFlight.set(accountId, run);
+    }
+    return this.inFlight.get(accountId);
+  }
+
+  // The wait for a two-factor code ends with its login attempt; the next
+  // check then starts a fresh login instead of parking bids forever
+  expireTwoFactor(session) {
+    if (session.state === 'awaiting_2fa' && !this.scraper.loginAttempts.get(session.loginAttemptId)) {
+      this.setState(session, 'logged_out', 'The two-factor code was not entered in time; the next check logs in again');
+    }
+  }
+
+  async runCheck(accountId) {
+    const session = this.session(accountId);
+
+    this.expireTwoFactor(session);
+    // Nothing to renew until someone enters the code
+    if (session.state === 'awaiting_2fa') return session;
+
+    const cookiesValid = await this.scraper.checkLoginState(accountId);
+    let probeValid = false;
+    if (cookiesValid) {
+      try {
+        probeValid = await this.scraper.probeLoginSession(accountId);
+      } catch (error) {
+        // A probe that did not get an answer says nothing about the session;
+        // keep what we knew rather than logging in again
+        console.error(`Login probe failed for account ${accountId}:`, error.message);
+        session.error = `Login probe failed: ${error.message}`;
+        return session;
+      }
+    }
+
+    if (probeValid) {
+      this.setState(session, 'valid');
+      return session;
+    }
+
+    this.markExpired(session);
+    return this.relogin(session);
+  }
+
+  async relogin(session) {
+    const { accountId } = session;
+    const credentials = await vault.readCredentials(accountId).catch(error => {
+      this.setState(session, 'error', error.message);
+      return undefined;
+    });
+    if (credentials === undefined) return session;
+    if (!credentials) {
+      this.setState(session, 'logged_out', 'Session expired and no credentials are stored; log in again');
+      return session;
+    }
+
+    this.setState(session, 'refreshing');
+    try {
+      const result = await this.scraper.refreshLoginSession(accountId);
+      if (result.requiresTwoFactor) {
+        session.loginAttemptId = result.loginAttemptId;
+        this.setState(session, 'awaiting_2fa', 'Two-factor code required; submit it to /login-two-factor with loginAttemptId');
+      } else {
+        await accounts.markLoggedIn(accountId);
+        this.setState(session, 'valid');
+      }
+    } catch (error) {
+      this.setState(session, 'error', error.message);
+    }
+    return session;
+  }
+
+  // Make sure the account can bid right now, renewing the session if needed
+  async ensureSession(accountId) {
+    const session = this.session(accountId);
+    const recentlyProbed = session.state === 'valid' &&
+      Date.now() - new Date(session.lastValidAt).getTime() < PROBE_MAX_AGE;
+
+    if (recentlyProbed && await this.scraper.checkLoginState(accountId)) {
+      return session;
+    }
+    return this.check(accountId);
+  }
+
+  // Fire-time check for bids that cannot spend time on a probe or relogin.
+  // Expired cookies end the session; it is renewed by the next full check.
+  async checkCookies(accountId) {
+    const session = this.session(accountId);
+    this.expireTwoFactor(session);
+    if (session.state === 'awaiting_2fa') return session;
+
+    if (!await this.scraper.checkLoginState(accountId)) {
+      this.markExpired(session);
+      this.setState(session, 'logged_out', 'Stored session cookies have expired');
+    } else if (session.state === 'unknown') {
+      this.setState(session, 'valid');
+    }
+    return session;
+  }
+
+  // Called once a login or two-factor step has stored a fresh session
+  async handleLoggedIn(accountId) {
+    this.setState(this.session(accountId), 'valid');
+    await this.replayParked(accountId);
+  }
+
+  // Place a bid through a checked session. While the account waits for a
+  // two-factor code the bid is parked and placed once the code is entered;
+  // the response then has parked: true and the parked bid's ID.
+  async placeBid(productUrl, bidAmount, { planId, options, accountId = accounts.DEFAULT_ACCOUNT } = {}, origin = null) {
+    // A snipe fires seconds before the end, after the scheduler has called
+    // ensureSession() ahead of time
+    const session = origin?.type === 'snipe'
+      ? await this.checkCookies(accountId)
+      : await this.ensureSession(accountId);
+
+    if (session.state === 'awaiting_2fa') {
+      const parkedBid = await this.park({ accountId, productUrl, bidAmount, planId, options, origin });
+      return {
+        success: false,
+        parked: true,
+        parkedBidId: parkedBid.id,
+        message: `Bid parked until the two-factor code for account "${accountId}" is entered`
+      };
+    }
+
+    if (session.state !== 'valid') {
+      return {
+        success: false,
+        message: `Failed to place bid: session for account "${accountId}" is not usable (${session.error || session.state})`
+      };
+    }
+
+    return this.scraper.placeBid(productUrl, bidAmount, { planId, options, accountId });
+  }
+
+  async park({ accountId, productUrl, bidAmount, planId, options, origin }) {
+    const parkedBid = {
+      id: crypto.randomUUID(),
+      accountId,
+      productUrl,
+      bidAmount: Number(bidAmount),
+      planId: planId !== undefined ? String(planId) : null,
+      options: options || null,
+      origin,
+      parkedAt: new Date().toISOString()
+    };
+
+    this.parkedBids.push(parkedBid);
+    await this.save();
+    console.log(`Parked bid ${parkedBid.id} for account ${accountId} until 2FA completes`);
+    return parkedBid;
+  }
+
+  // Why a parked bid must not go out any more, judged from a fresh read of
+  // its auction. Snipes park with their leadSeconds and only go out inside
+  // that window before the end.
+  replayBlocker(parkedBid, bidDetails) {
+    if (bidDetails.ended) return 'Auction ended before the two-factor code was entered';
+
+    const leadSeconds = parkedBid.origin?.leadSeconds;
+    if (leadSeconds === undefined) return null;
+
+    if (bidDetails.error || !bidDetails.endsAt) {
+      return `Could not confirm the snipe window: ${bidDetails.error || bidDetails.timeRemaining}`;
+    }
+    const msRemaining = new Date(bidDetails.endsAt).getTime() - Date.now();
+    if (msRemaining <= 0) return 'Auction ended before the two-factor code was entered';
+    if (msRemaining > leadSeconds * 1000) return 'Auction end moved; the snipe window is no longer open';
+    return null;
+  }
+
+  // Place the account's parked bids in the order they arrived, dropping any
+  // whose auction has ended in the meantime
+  async replayParked(accountId) {
+    const parkedBids = this.parkedBids.filter(parked => parked.accountId === accountId);
+    if (parkedBids.length === 0) return;
+
+    this.parkedBids = this.parkedBids.filter(parked => parked.accountId !== accountId);
+    await this.save();
+
+    for (const parkedBid of parkedBids) {
+      const bidDetails = await this.scraper.updateBid(parkedBid.productUrl);
+      const reason = this.replayBlocker(parkedBid, bidDetails);
+      if (reason) {
+        console.log(`Dropped parked bid ${parkedBid.id}: ${reason}`);
+        this.emit('parked_bid_dropped', { parkedBid, reason });
+        continue;
+      }
+
+      const bidOptions = { accountId };
+      if (parkedBid.planId) bidOptions.planId = parkedBid.planId;
+      if (parkedBid.options) bidOptions.options = parkedBid.options;
+
+      let response;
+      try {
+        response = await this.scraper.placeBid(parkedBid.productUrl, parkedBid.bidAmount, bidOptions);
+      } catch (error) {
+        response = { success: false, message: `Failed to place bid: ${error.message}` };
+      }
+
+      const bid = await bidStore.recordBid({
+        auctionId: marketplaceForUrl(parkedBid.productUrl).extractItemId(parkedBid.productUrl),
+        productUrl: parkedBid.productUrl,
+        accountId,
+        bidAmount: parkedBid.bidAmount,
+        plan: response.details?.plan || parkedBid.planId,
+        success: response.success,
+        error: response.debug?.error || response.message
+      }).catch(error => {
+        console.error('Failed to record parked bid:', error);
+        return null;
+      });
+
+      this.emit('parked_bid_replayed', { parkedBid, response, bid });
+    }
+  }
+
+  async cancelParked(id) {
+    const index = this.parkedBids.findIndex(parked => parked.id === id);
+    if (index === -1) return null;
+
+    const [parkedBid] = this.parkedBids.splice(index, 1);
+    await this.save();
+    this.emit('parked_bid_cancelled', { parkedBid });
+    return parkedBid;
+  }
+}
+
+module.exports = SessionManager;
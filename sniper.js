@@ -0,0 +1,314 @@
+const path = require('path');
+const crypto = require('crypto');
+const BuyeeScraper = require('./scrapper');
+const bidStore = require('./bidStore');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+const { marketplaceForUrl } = require('./marketplaces');
+const { DEFAULT_ACCOUNT } = require('./accounts');
+
+const snipeFilePath = path.resolve(__dirname, './data/snipes.json');
+
+const TICK_INTERVAL = 1000;
+const DEFAULT_LEAD_SECONDS = 30;
+const MIN_LEAD_SECONDS = 5;
+// Renew the bidding session this long before a snipe fires, so a probe or
+// relogin never eats into its lead time
+const SESSION_CHECK_AHEAD = 2 * 60 * 1000;
+
+const MIN_REFRESH_INTERVAL = 20 * 1000;
+
+// Re-check the auction page more often the closer it is to ending
+function refreshIntervalFor(secondsRemaining) {
+  const interval = (secondsRemaining * 1000) / 4;
+  return Math.min(Math.max(interval, MIN_REFRESH_INTERVAL), 6 * 60 * 60 * 1000);
+}
+
+class SnipeScheduler {
+  // bidder places the bids; anything with the scraper's placeBid signature,
+  // such as the session manager
+  constructor(scraper, { filePath = snipeFilePath, bidder = scraper } = {}) {
+    this.scraper = scraper;
+    this.bidder = bidder;
+    this.filePath = filePath;
+    this.snipes = [];
+    this.timer = null;
+    this.ticking = false;
+    this.sessionsChecked = new Set();
+    this.refreshing = new Set();
+    this.enqueueWrite = createWriteQueue('snipes');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { snipes: [] });
+    this.snipes = data.snipes || [];
+
+    // A bid that was in flight when the process died may or may not have gone out
+    for (const snipe of this.snipes) {
+      if (snipe.status === 'firing') {
+        snipe.status = 'failed';
+        snipe.error = 'Interrupted by server restart while placing bid';
+        snipe.updatedAt = new Date().toISOString();
+      }
+    }
+
+    console.log(`Loaded ${this.snipes.length} snipe(s)`);
+    await this.save();
+  }
+
+  save() {
+    return this.enqueueWrite(() => writeJsonAtomic(this.filePath, { snipes: this.snipes }));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  list({ status } = {}) {
+    return this.snipes.filter(snipe => !status || snipe.status === status);
+  }
+
+  get(id) {
+    return this.snipes.find(snipe => snipe.id === id) || null;
+  }
+
+  async create({ productUrl, maxBid, leadSeconds = DEFAULT_LEAD_SECONDS, accountId = DEFAULT_ACCOUNT }) {
+    // Fixed-price listings have no closing time to snipe against
+    if (!marketplaceForUrl(productUrl).isAuction) {
+      throw new Error('Snipes are only supported for auction listings');
+    }
+
+    const now = new Date().toISOString();
+    const snipe = {
+      id: crypto.randomUUID(),
+      productUrl,
+      auctionId: BuyeeScraper.extractAuctionId(productUrl),
+      accountId,
+      maxBid: Number(maxBid),
+      leadSeconds: Math.max(Number(leadSeconds), MIN_LEAD_SECONDS),
+      status: 'pending',
+      timeRemaining: null,
+      endsAt: null,
+      precision: null,
+      lastCheckedAt: null,
+      bidId: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Work out the end time straight away so bad URLs fail on registration
+    await this.refresh(snipe);
+    if (!snipe.endsAt) {
+      throw new Error(snipe.error || 'Could not determine auction end time');
+    }
+    if (snipe.status !== 'pending') {
+      throw new Error('Auction has already ended');
+    }
+
+    this.snipes.push(snipe);
+    await this.save();
+    return snipe;
+  }
+
+  async update(id, { maxBid, leadSeconds }) {
+    const snipe = this.get(id);
+    if (!snipe) return null;
+
+    if (maxBid !== undefined) snipe.maxBid = Number(maxBid);
+    if (leadSeconds !== undefined) {
+      snipe.leadSeconds = Math.max(Number(leadSeconds), MIN_LEAD_SECONDS);
+    }
+    snipe.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return snipe;
+  }
+
+  async cancel(id) {
+    const snipe = this.get(id);
+    if (!snipe) return null;
+
+    snipe.status = 'cancelled';
+    snipe.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return snipe;
+  }
+
+  // Re-scrape the auction page and update the estimated end time
+  async refresh(snipe) {
+    const bidDetails = await this.scraper.updateBid(snipe.productUrl);
+    snipe.lastCheckedAt = new Date().toISOString();
+
+    if (bidDetails.error) {
+      snipe.error = bidDetails.error;
+      return;
+    }
+
+    snipe.timeRemaining = bidDetails.timeRemaining;
+    snipe.currentPrice = bidDetails.price;
+    snipe.currentPriceYen = bidDetails.priceYen;
+
+    if (!bidDetails.endsAt) {
+      snipe.error = `Unrecognised time remaining: ${bidDetails.timeRemaining}`;
+      return;
+    }
+
+    snipe.error = null;
+    snipe.endsAt = bidDetails.endsAt;
+    snipe.precision = bidDetails.endsAtPrecision;
+
+    if (bidDetails.ended && snipe.status === 'pending') {
+      snipe.status = 'missed';
+      snipe.error = 'Auction ended before the snipe fired';
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+      let changed = false;
+
+      for (const snipe of this.list({ status: 'pending' })) {
+        if (!snipe.endsAt || this.refreshing.has(snipe.id)) continue;
+
+        const endsAt = new Date(snipe.endsAt).getTime();
+        const fireAt = endsAt - snipe.leadSeconds * 1000;
+        const secondsRemaining = Math.max((endsAt - now) / 1000, 0);
+        const sinceCheck = now - new Date(snipe.lastCheckedAt).getTime();
+
+        // Coarse readings like "2 day(s)" are only a lower bound. Minutes are
+        // enough to get the session ready; firing (or giving up) needs a
+        // reading no coarser than the lead time, so re-check until Buyee
+        // shows seconds when the lead is under a minute
+        const precise = snipe.precision !== null && snipe.precision <= 60;
+        const exact = snipe.precision !== null && snipe.precision <= snipe.leadSeconds;
+        // Readings go stale while the server is down; never fire on one
+        const fresh = !snipe.error && sinceCheck <= Math.max(snipe.leadSeconds * 1000, MIN_REFRESH_INTERVAL);
+
+        if (now >= fireAt - SESSION_CHECK_AHEAD && precise) {
+          this.checkSessionAhead(snipe);
+        }
+
+        if (now >= endsAt && exact) {
+          snipe.status = 'missed';
+          snipe.error = 'Auction ended before the snipe fired';
+          snipe.updatedAt = new Date().toISOString();
+          changed = true;
+        } else if (now >= fireAt && exact && fresh) {
+          this.fire(snipe).catch(error => console.error('Snipe fire failed:', error));
+        } else if (now >= fireAt || sinceCheck >= refreshIntervalFor(secondsRemaining)) {
+          this.refreshInBackground(snipe);
+        }
+      }
+
+      if (changed) await this.save();
+    } catch (error) {
+      console.error('Snipe scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // One slow auction page must not hold up the snipes due to fire
+  refreshInBackground(snipe) {
+    this.refreshing.add(snipe.id);
+    this.refresh(snipe)
+      .then(() => {
+        snipe.updatedAt = new Date().toISOString();
+        return this.save();
+      })
+      .catch(error => console.error(`Refreshing snipe ${snipe.id} failed:`, error))
+      .finally(() => this.refreshing.delete(snipe.id));
+  }
+
+  // Once per snipe, without waiting; only bidders that manage sessions
+  // (the session manager) have ensureSession
+  checkSessionAhead(snipe) {
+    if (typeof this.bidder.ensureSession !== 'function' || this.sessionsChecked.has(snipe.id)) return;
+
+    this.sessionsChecked.add(snipe.id);
+    this.bidder.ensureSession(snipe.accountId || DEFAULT_ACCOUNT)
+      .catch(error => console.error(`Session check before snipe ${snipe.id} failed:`, error));
+  }
+
+  // Place the bid without blocking the tick loop
+  async fire(snipe) {
+    this.sessionsChecked.delete(snipe.id);
+    snipe.status = 'firing';
+    snipe.updatedAt = new Date().toISOString();
+
+    try {
+      await this.save();
+      console.log(`Firing snipe ${snipe.id}: ${snipe.maxBid} on ${snipe.productUrl}`);
+
+      // Snipes created before accounts existed belong to the default account
+      const accountId = snipe.accountId || DEFAULT_ACCOUNT;
+      const origin = { type: 'snipe', id: snipe.id, leadSeconds: snipe.leadSeconds };
+      const response = await this.bidder.placeBid(snipe.productUrl, snipe.maxBid, { accountId }, origin);
+
+      // Waiting for a two-factor code; resolveParked finishes the snipe
+      if (response.parked) {
+        snipe.status = 'parked';
+        snipe.parkedBidId = response.parkedBidId;
+        snipe.error = response.message;
+        snipe.updatedAt = new Date().toISOString();
+        await this.save();
+        return;
+      }
+
+      const bid = await bidStore.recordBid({
+        auctionId: snipe.auctionId,
+        productUrl: snipe.productUrl,
+        accountId,
+        bidAmount: snipe.maxBid,
+        plan: response.details?.plan || null,
+        success: response.success,
+        error: response.debug?.error || response.message
+      });
+
+      snipe.bidId = bid.id;
+      snipe.status = response.success ? 'placed' : 'failed';
+      snipe.error = response.success ? null : response.message;
+    } catch (error) {
+      console.error(`Snipe ${snipe.id} failed:`, error);
+      snipe.status = 'failed';
+      snipe.error = error.message;
+    }
+
+    snipe.updatedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  // A parked snipe bid went out after the two-factor code was entered, was
+  // dropped because its window had passed by then, or was cancelled
+  async resolveParked(id, { response, bid, dropped, cancelled }) {
+    const snipe = this.get(id);
+    if (!snipe || snipe.status !== 'parked') return;
+
+    if (cancelled) {
+      snipe.status = 'cancelled';
+      snipe.error = null;
+    } else if (dropped) {
+      snipe.status = 'missed';
+      snipe.error = dropped;
+    } else {
+      snipe.bidId = bid ? bid.id : null;
+      snipe.status = response.success ? 'placed' : 'failed';
+      snipe.error = response.success ? null : response.message;
+    }
+    snipe.updatedAt = new Date().toISOString();
+    await this.save();
+  }
+}
+
+module.exports = SnipeScheduler;
@@ -0,0 +1,159 @@
+// Buyee shows remaining time as free text in its largest unit only,
+// e.g. "2 day(s)", "5 hour(s)", "12 min(s)" or the Japanese "2日", "3時間".
+const UNIT_PATTERNS = [
+  { seconds: 24 * 60 * 60, pattern: /(\d+)\s*(?:days?|day\(s\)|日)/i },
+  { seconds: 60 * 60, pattern: /(\d+)\s*(?:hours?|hour\(s\)|hrs?|時間)/i },
+  { seconds: 60, pattern: /(\d+)\s*(?:minutes?|minute\(s\)|mins?\.?|min\(s\)|分)/i },
+  { seconds: 1, pattern: /(\d+)\s*(?:seconds?|second\(s\)|secs?\.?|sec\(s\)|秒)/i }
+];
+
+const ENDED_PATTERN = /ended|closed|finished|終了/i;
+
+// Parse a remaining-time string into seconds. Returns null when the text
+// cannot be understood. `precision` is the size of the smallest unit seen,
+// since "2 day(s)" can mean anything up to just under 3 days.
+function parseTimeRemaining(text, now = Date.now()) {
+  if (!text || typeof text !== 'string') return null;
+
+  let secondsRemaining = 0;
+  let precision = null;
+
+  for (const { seconds, pattern } of UNIT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      secondsRemaining += parseInt(match[1], 10) * seconds;
+      precision = seconds;
+    }
+  }
+
+  // Only text with no time left in it counts as ended: "終了まで 2日"
+  // ("2 days until the end") still has time to run
+  if (precision === null && ENDED_PATTERN.test(text)) {
+    return {
+      secondsRemaining: 0,
+      endsAt: new Date(now).toISOString(),
+      precision: 1,
+      ended: true
+    };
+  }
+
+  if (precision === null) return null;
+
+  return {
+    secondsRemaining,
+    endsAt: new Date(now + secondsRemaining * 1000).toISOString(),
+    precision,
+    ended: false
+  };
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Buyee lists closing times in Japan time unless the text says otherwise
+const DEFAULT_UTC_OFFSET = '+09:00';
+
+function utcOffsetFrom(text) {
+  const offsetMatch = text.match(/(?:GMT|UTC)\s*([+-])(\d{1,2})(?::?(\d{2}))?/i);
+  if (offsetMatch) {
+    const [, sign, hours, minutes = '00'] = offsetMatch;
+    return `${sign}${hours.padStart(2, '0')}:${minutes}`;
+  }
+  if (/\b(?:GMT|UTC)\b/i.test(text)) return '+00:00';
+  return DEFAULT_UTC_OFFSET;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Parse an absolute closing time such as "2025/02/10 21:30:00",
+// "2025年2月10日 21時30分", "Feb 10, 2025 21:30 (JST)" or "10 Feb 2025 21:30".
+// Returns an ISO timestamp or null.
+function parseEndDate(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  let year;
+  let month;
+  let day;
+
+  const numericMatch = text.match(/(\d{4})\s*[\/.\-年]\s*(\d{1,2})\s*[\/.\-月]\s*(\d{1,2})/);
+  const monthFirstMatch = text.match(/([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/i);
+  const dayFirstMatch = text.match(/(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})/i);
+
+  if (numericMatch) {
+    [, year, month, day] = numericMatch;
+  } else if (monthFirstMatch && MONTHS.includes(monthFirstMatch[1].toLowerCase())) {
+    year = monthFirstMatch[3];
+    month = MONTHS.indexOf(monthFirstMatch[1].toLowerCase()) + 1;
+    day = monthFirstMatch[2];
+  } else if (dayFirstMatch && MONTHS.includes(dayFirstMatch[2].toLowerCase())) {
+    year = dayFirstMatch[3];
+    month = MONTHS.indexOf(dayFirstMatch[2].toLowerCase()) + 1;
+    day = dayFirstMatch[1];
+  } else {
+    return null;
+  }
+
+  const timeMatch = text.match(/(\d{1,2})\s*[:時]\s*(\d{2})(?:\s*[:分]\s*(\d{2}))?/);
+  const [hours, minutes, seconds] = timeMatch
+    ? [timeMatch[1], timeMatch[2], timeMatch[3] || '0']
+    : ['0', '0', '0'];
+
+  const iso = `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}${utcOffsetFrom(text)}`;
+  const time = new Date(iso).getTime();
+
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Combine the closing-time field (exact, when the page has one) with the
+// remaining-time text into the fields every endpoint returns. endsAtPrecision
+// is in seconds: 1 for an exact closing time, otherwise the unit Buyee showed.
+function resolveEndTime(timeRemaining, endDate = null, now = Date.now()) {
+  const parsed = parseTimeRemaining(timeRemaining, now);
+  const endsAt = parseEndDate(endDate);
+
+  if (endsAt) {
+    const secondsRemaining = Math.max(Math.round((new Date(endsAt).getTime() - now) / 1000), 0);
+    return {
+      endsAt,
+      secondsRemaining,
+      endsAtPrecision: 1,
+      ended: secondsRemaining === 0 || Boolean(parsed && parsed.ended)
+    };
+  }
+
+  if (!parsed) {
+    return { endsAt: null, secondsRemaining: null, endsAtPrecision: null, ended: false };
+  }
+
+  return {
+    endsAt: parsed.endsAt,
+    secondsRemaining: parsed.secondsRemaining,
+    endsAtPrecision: parsed.precision,
+    ended: parsed.ended
+  };
+}
+
+// Soonest-ending first; items without an end time go last
+function compareEndingSoonest(a, b) {
+  const aTime = a.endsAt ? new Date(a.endsAt).getTime() : Infinity;
+  const bTime = b.endsAt ? new Date(b.endsAt).getTime() : Infinity;
+  return aTime - bTime;
+}
+
+// Recompute secondsRemaining from endsAt for results served from storage
+function withCurrentSecondsRemaining(product, now = Date.now()) {
+  if (!product.endsAt) return product;
+  return {
+    ...product,
+    secondsRemaining: Math.max(Math.round((new Date(product.endsAt).getTime() - now) / 1000), 0)
+  };
+}
+
+module.exports = {
+  parseTimeRemaining,
+  parseEndDate,
+  resolveEndTime,
+  compareEndingSoonest,
+  withCurrentSecondsRemaining
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./jsonStore');
+const { DEFAULT_ACCOUNT, accountDir, legacySessionPaths, readAccounts } = require('./accounts');
+
+// Encrypted storage for account credentials and Playwright storage state.
+// Entries are AES-256-GCM encrypted with the key in VAULT_KEY (32 bytes as
+// 64 hex characters or base64), one file per entry under data/accounts/<id>/.
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 1;
+
+const ENTRY_FILES = {
+  session: 'session.enc',
+  credentials: 'credentials.enc'
+};
+
+// Half-finished logins between the password and the 2FA step used to be
+// stored here; they live in memory now (see loginAttempts.js)
+const LEGACY_TEMP_SESSION_FILE = 'temp-session.enc';
+
+let cachedKey = null;
+
+function loadKey() {
+  if (cachedKey) return cachedKey;
+
+  const secret = process.env.VAULT_KEY;
+  if (!secret) {
+    throw new Error('VAULT_KEY is not set; generate one with: openssl rand -hex 32');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(secret)
+    ? Buffer.from(secret, 'hex')
+    : Buffer.from(secret, 'base64');
+  if (key.length !== 32) {
+    throw new Error('VAULT_KEY must be 32 bytes, as 64 hex characters or base64');
+  }
+
+  cachedKey = key;
+  return key;
+}
+
+function encrypt(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    v: FORMAT_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(envelope, key) {
+  if (envelope.v !== FORMAT_VERSION) {
+    throw new Error(`Unsupported vault entry version: ${envelope.v}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final()
+  ]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+function entryPath(accountId, entry) {
+  return path.join(accountDir(accountId), ENTRY_FILES[entry]);
+}
+
+async function readEntry(accountId, entry) {
+  const envelope = await readJson(entryPath(accountId, entry), null);
+  if (!envelope) return null;
+
+  try {
+    return decrypt(envelope, loadKey());
+  } catch (error) {
+    if (error.message.startsWith('VAULT_KEY')) throw error;
+    throw new Error(`Could not decrypt ${entry} for account ${accountId}; was VAULT_KEY changed?`);
+  }
+}
+
+async function writeEntry(accountId, entry, value) {
+  await writeJsonAtomic(entryPath(accountId, entry), encrypt(value, loadKey()));
+}
+
+async function removeEntry(accountId, entry) {
+  await fs.promises.rm(entryPath(accountId, entry), { force: true });
+}
+
+// Move a plaintext storage state file from before the vault into it, then
+// delete the plaintext copy
+async function migrateLegacySession(accountId) {
+  const { loginPath } = legacySessionPaths(accountId);
+  if (!fs.existsSync(loginPath)) return null;
+
+  const state = await readJson(loginPath, null);
+  if (!state) return null;
+
+  await writeEntry(accountId, 'session', state);
+  await fs.promises.rm(loginPath, { force: true });
+  console.log(`Moved plaintext ${loginPath} into the vault for account ${accountId}`);
+  return state;
+}
+
+// Half-finished logins left on disk by older versions can never be completed;
+// delete them, plaintext or encrypted. Run once at startup.
+async function removeLegacyTempSessions() {
+  for (const account of await readAccounts()) {
+    const stalePaths = [
+      legacySessionPaths(account.id).tempLoginPath,
+      path.join(accountDir(account.id), LEGACY_TEMP_SESSION_FILE)
+    ];
+    for (const stalePath of stalePaths) {
+      if (!fs.existsSync(stalePath)) continue;
+      await fs.promises.rm(stalePath, { force: true });
+      console.log(`Removed leftover half-finished login ${stalePath}`);
+    }
+  }
+}
+
+// Playwright storage state ({ cookies, origins }) for an account, or null
+async function readSession(accountId = DEFAULT_ACCOUNT) {
+  const state = await readEntry(accountId, 'session');
+  return state || migrateLegacySession(accountId);
+}
+
+function writeSession(accountId, state) {
+  return writeEntry(accountId, 'session', state);
+}
+
+// { username, password } for an account, or null
+function readCredentials(accountId = DEFAULT_ACCOUNT) {
+  return readEntry(accountId, 'credentials');
+}
+
+function writeCredentials(accountId, { username, password }) {
+  return writeEntry(accountId, 'credentials', { username, password });
+}
+
+function removeCredentials(accountId) {
+  return removeEntry(accountId, 'credentials');
+}
+
+// Encrypt a single value for storage elsewhere, such as a webhook secret
+function sealValue(value) {
+  return encrypt(value, loadKey());
+}
+
+function openValue(envelope) {
+  return decrypt(envelope, loadKey());
+}
+
+module.exports = {
+  readSession,
+  writeSession,
+  removeLegacyTempSessions,
+  readCredentials,
+  writeCredentials,
+  removeCredentials,
+  sealValue,
+  openValue
+};
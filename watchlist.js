@@ -0,0 +1,227 @@
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const BuyeeScraper = require('./scrapper');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+
+const watchlistFilePath = path.resolve(__dirname, './data/watchlist.json');
+
+const DEFAULT_REFRESH_MINUTES = 15;
+const REQUEST_DELAY = 2000;
+const MAX_HISTORY = 1000;
+const DEFAULT_ENDING_SOON_MINUTES = 60;
+
+// Server-side watchlist that periodically re-scrapes each auction and keeps a
+// time series of its price and remaining time.
+// Emits 'price_changed' and 'ending_soon' (once per item) as readings come in.
+class Watchlist extends EventEmitter {
+  constructor(scraper, jobQueue, {
+    filePath = watchlistFilePath,
+    refreshMinutes = DEFAULT_REFRESH_MINUTES,
+    endingSoonMinutes = DEFAULT_ENDING_SOON_MINUTES
+  } = {}) {
+    super();
+    this.endingSoonSeconds = endingSoonMinutes * 60;
+    this.scraper = scraper;
+    this.jobQueue = jobQueue;
+    this.filePath = filePath;
+    this.refreshMinutes = refreshMinutes;
+    this.items = [];
+    this.timer = null;
+    this.refreshing = false;
+    this.enqueueWrite = createWriteQueue('watchlist');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { items: [] });
+    this.items = data.items || [];
+    console.log(`Loaded ${this.items.length} watchlist item(s)`);
+  }
+
+  save() {
+    return this.enqueueWrite(() => writeJsonAtomic(this.filePath, { items: this.items }));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.enqueueRefresh(), this.refreshMinutes * 60 * 1000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  hasActive() {
+    return this.items.some(item => item.status === 'active');
+  }
+
+  // Public view without the full history
+  summarize(item) {
+    const { history, ...summary } = item;
+    return { ...summary, historyCount: history.length };
+  }
+
+  list() {
+    return this.items.map(item => this.summarize(item));
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  async add(productUrl) {
+    const existing = this.items.find(item => item.productUrl === productUrl);
+    if (existing) return existing;
+
+    const item = {
+      id: crypto.randomUUID(),
+      productUrl,
+      auctionId: BuyeeScraper.extractAuctionId(productUrl),
+      status: 'active',
+      latest: null,
+      history: [],
+      lastRefreshedAt: null,
+      addedAt: new Date().toISOString()
+    };
+
+    this.items.push(item);
+    await this.save();
+    return item;
+  }
+
+  async remove(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) return false;
+
+    this.items.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  // Readings for one item, optionally limited to a date range
+  history(id, { from, to } = {}) {
+    const item = this.get(id);
+    if (!item) return null;
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return item.history.filter(reading => {
+      const readingTime = new Date(reading.at).getTime();
+      return (fromTime === null || readingTime >= fromTime) &&
+        (toTime === null || readingTime <= toTime);
+    });
+  }
+
+  // Refreshes run through the job queue so they take turns with searches
+  enqueueRefresh() {
+    if (this.refreshing || !this.hasActive()) return null;
+
+    this.refreshing = true;
+    return this.jobQueue.add('watchlist-refresh', {}, async task => {
+      try {
+        return await this.refreshAll(task);
+      } finally {
+        this.refreshing = false;
+      }
+    });
+  }
+
+  // First reading for a newly added item
+  enqueueItemRefresh(item) {
+    return this.jobQueue.add('watchlist-refresh', { id: item.id }, async task => {
+      task.setTotal(1);
+      const reading = await this.refresh(item);
+      task.pushResults([{ id: item.id, productUrl: item.productUrl, ...reading }]);
+      task.advance();
+      await this.save();
+      return { count: 1 };
+    });
+  }
+
+  async refreshAll(task) {
+    const activeItems = this.items.filter(item => item.status === 'active');
+    task.setTotal(activeItems.length);
+
+    for (const item of activeItems) {
+      // Removed while the refresh was running
+      if (!this.get(item.id)) continue;
+
+      const reading = await this.refresh(item);
+      task.pushResults([{ id: item.id, productUrl: item.productUrl, ...reading }]);
+      if (reading.error) {
+        task.pushError({ id: item.id, productUrl: item.productUrl, error: reading.error });
+      }
+      task.advance();
+
+      await new Promise(resolve => setTimeout(resolve, REQUEST_DELAY));
+    }
+
+    await this.save();
+    return { count: activeItems.length };
+  }
+
+  async refresh(item) {
+    const bidDetails = await this.scraper.updateBid(item.productUrl);
+    const at = new Date().toISOString();
+
+    let reading;
+    if (bidDetails.error) {
+      reading = { at, error: bidDetails.error };
+    } else {
+      reading = {
+        at,
+        price: bidDetails.price,
+        priceYen: bidDetails.priceYen,
+        timeRemaining: bidDetails.timeRemaining,
+        endsAt: bidDetails.endsAt,
+        secondsRemaining: bidDetails.secondsRemaining
+      };
+
+      const previous = item.latest;
+      item.latest = reading;
+
+      // Compare yen amounts when we have them; the converted part of the
+      // text changes with exchange rates even when the price does not
+      const priceChanged = previous && (
+        reading.priceYen !== null && previous.priceYen !== undefined && previous.priceYen !== null
+          ? previous.priceYen !== reading.priceYen
+          : previous.price !== reading.price
+      );
+
+      if (priceChanged) {
+        this.emit('price_changed', {
+          item: this.summarize(item),
+          previousPrice: previous.price,
+          previousPriceYen: previous.priceYen ?? null,
+          price: reading.price,
+          priceYen: reading.priceYen
+        });
+      }
+
+      if (bidDetails.ended) {
+        item.status = 'ended';
+      } else if (reading.secondsRemaining !== null && reading.secondsRemaining <= this.endingSoonSeconds &&
+          !item.endingSoonNotifiedAt) {
+        item.endingSoonNotifiedAt = at;
+        this.emit('ending_soon', {
+          item: this.summarize(item),
+          timeRemaining: reading.timeRemaining,
+          endsAt: reading.endsAt,
+          secondsRemaining: reading.secondsRemaining
+        });
+      }
+    }
+
+    item.history.push(reading);
+    if (item.history.length > MAX_HISTORY) {
+      item.history.splice(0, item.history.length - MAX_HISTORY);
+    }
+    item.lastRefreshedAt = at;
+
+    return reading;
+  }
+}
+
+module.exports = Watchlist;
@@ -0,0 +1,210 @@
+const path = require('path');
+const crypto = require('crypto');
+const vault = require('./vault');
+const { readJson, writeJsonAtomic, createWriteQueue } = require('./jsonStore');
+
+const webhookFilePath = path.resolve(__dirname, './data/webhooks.json');
+const deliveryFilePath = path.resolve(__dirname, './data/webhook-deliveries.json');
+
+const EVENT_TYPES = ['price_changed', 'ending_soon', 'bid_placed', 'bid_failed', 'bid_outbid', 'login_expired', 'two_factor_required'];
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY = 5000; // 5s, 10s, 20s, 40s between attempts
+const DELIVERY_TIMEOUT = 10000;
+const MAX_DELIVERIES = 500;
+
+// HMAC-SHA256 of the raw body with the webhook's secret, hex encoded
+function signPayload(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Registry of outbound webhooks plus a capped log of delivery attempts.
+// Payloads are signed in the X-Webhook-Signature header as "sha256=<hex>";
+// the secrets are kept encrypted with the vault key on disk.
+class WebhookDispatcher {
+  constructor({ filePath = webhookFilePath, deliveryPath = deliveryFilePath } = {}) {
+    this.filePath = filePath;
+    this.deliveryPath = deliveryPath;
+    this.webhooks = [];
+    this.deliveries = [];
+    this.retryTimers = new Set();
+    this.enqueueWrite = createWriteQueue('webhooks');
+  }
+
+  async load() {
+    const data = await readJson(this.filePath, { webhooks: [] });
+    this.webhooks = (data.webhooks || []).map(webhook => ({
+      ...webhook,
+      secret: typeof webhook.secret === 'string' ? webhook.secret : vault.openValue(webhook.secret)
+    }));
+
+    const deliveryData = await readJson(this.deliveryPath, { deliveries: [] });
+    this.deliveries = deliveryData.deliveries || [];
+
+    console.log(`Loaded ${this.webhooks.length} webhook(s)`);
+
+    // Secrets saved in plaintext before they were encrypted
+    if ((data.webhooks || []).some(webhook => typeof webhook.secret === 'string')) {
+      await this.save();
+    }
+  }
+
+  save() {
+    return this.enqueueWrite(async () => {
+      const webhooks = this.webhooks.map(webhook => ({ ...webhook, secret: vault.sealValue(webhook.secret) }));
+      await writeJsonAtomic(this.filePath, { webhooks });
+      await writeJsonAtomic(this.deliveryPath, { deliveries: this.deliveries });
+    });
+  }
+
+  stop() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+
+  // Public view; the secret is only returned once, on creation
+  summarize(webhook) {
+    const { secret, ...summary } = webhook;
+    return summary;
+  }
+
+  list() {
+    return this.webhooks.map(webhook => this.summarize(webhook));
+  }
+
+  get(id) {
+    return this.webhooks.find(webhook => webhook.id === id) || null;
+  }
+
+  async create({ url, events, secret }) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      enabled: true,
+      createdAt: new Date().toISOString()
+    };
+
+    this.webhooks.push(webhook);
+    await this.save();
+    return webhook;
+  }
+
+  async update(id, { url, events, enabled }) {
+    const webhook = this.get(id);
+    if (!webhook) return null;
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (enabled !== undefined) webhook.enabled = Boolean(enabled);
+
+    await this.save();
+    return webhook;
+  }
+
+  async remove(id) {
+    const index = this.webhooks.findIndex(webhook => webhook.id === id);
+    if (index === -1) return false;
+
+    this.webhooks.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  listDeliveries({ webhookId, event, status } = {}) {
+    return this.deliveries.filter(delivery =>
+      (!webhookId || delivery.webhookId === webhookId) &&
+      (!event || delivery.event === event) &&
+      (!status || delivery.status === status)
+    );
+  }
+
+  // Fan an event out to every subscribed webhook. Never throws; failures end
+  // up in the delivery log.
+  dispatch(event, data) {
+    if (!EVENT_TYPES.includes(event)) {
+      console.error(`Unknown webhook event: ${event}`);
+      return;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    for (const webhook of this.webhooks) {
+      if (!webhook.enabled || !webhook.events.includes(event)) continue;
+
+      const delivery = {
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        eventId: payload.id,
+        event,
+        url: webhook.url,
+        status: 'pending',
+        attempts: [],
+        createdAt: payload.createdAt,
+        completedAt: null
+      };
+
+      this.deliveries.unshift(delivery);
+      this.deliveries.splice(MAX_DELIVERIES);
+
+      this.attempt(webhook, delivery, payload)
+        .catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error));
+    }
+  }
+
+  async attempt(webhook, delivery, payload) {
+    const body = JSON.stringify(payload);
+    const startedAt = new Date().toISOString();
+    let outcome;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+      });
+
+      outcome = { at: startedAt, statusCode: response.status, ok: response.ok, error: null };
+    } catch (error) {
+      outcome = { at: startedAt, statusCode: null, ok: false, error: error.message };
+    }
+
+    delivery.attempts.push(outcome);
+
+    if (outcome.ok) {
+      delivery.status = 'delivered';
+      delivery.completedAt = new Date().toISOString();
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.completedAt = new Date().toISOString();
+      console.error(`Webhook delivery ${delivery.id} to ${webhook.url} failed after ${MAX_ATTEMPTS} attempts`);
+    } else {
+      // Exponential backoff before the next attempt
+      const delay = BASE_RETRY_DELAY * 2 ** (delivery.attempts.length - 1);
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        this.attempt(webhook, delivery, payload)
+          .catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error));
+      }, delay);
+      this.retryTimers.add(timer);
+    }
+
+    await this.save();
+  }
+}
+
+module.exports = { WebhookDispatcher, EVENT_TYPES, signPayload };